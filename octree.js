@@ -0,0 +1,978 @@
+/*
+** A Simple Octree implementation for Javascript.
+**
+** Copyright (c) 2014, Matthew Ready
+** All rights reserved.
+** 
+** Redistribution and use in source and binary forms, with or without modification, are permitted 
+** provided that the following conditions are met:
+** 
+** 1. Redistributions of source code must retain the above copyright notice, this list of conditions
+**  and the following disclaimer.
+** 
+** 2. Redistributions in binary form must reproduce the above copyright notice, this list of 
+** conditions and the following disclaimer in the documentation and/or other materials provided with
+** the distribution.
+** 
+** 3. Neither the name of the copyright holder nor the names of its contributors may be used to 
+** endorse or promote products derived from this software without specific prior written permission.
+** 
+** THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY EXPRESS OR 
+** IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND 
+** FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR 
+** CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+** DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+** DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, 
+** WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY
+** WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+"use strict";
+
+var Craxic = Craxic || {};
+
+
+Craxic.Octree = function()
+{
+	/**
+	* Implements a simple javascript Octree, the three dimensional sibling of
+	* {{#crossLink "QuadTree"}}{{/crossLink}}. Every position has a z as well as an x and a y, and
+	* every node is split into eight subtrees rather than four, but nodes are split and merged 
+	* using the same upperThreshold, lowerThreshold and maxDepth rules. 
+	* 
+	* Only part of the QuadTree API is shared: add, remove, contains, objectMoved, nearestPoint,
+	* kNearest, queryRange and queryRadius, each taking a z after every y. Distances are always 
+	* Euclidean, and there is no nearestMatching, metric, geographic or rectangle mode, 
+	* autoExpand, bulk loading, events, JSON, typed array storage or iteration.
+	* Any object can be added as a point ("Point Object"). By default, the position of an object is
+	* retrieved from its values of 'x', 'y' and 'z'. This behaviour can be overridden in the
+	* 'config' argument.
+	* 
+	* Behaviour is undefined if an object's values of x, y or z change without notifing the Octree
+	* via {{#crossLink "Octree/objectMoved:method"}}{{/crossLink}}
+	* 
+	* @class Octree
+	* @constructor
+	* @param {Number} minX The minimum X of the Octree.
+	* @param {Number} minY The minimum Y of the Octree.
+	* @param {Number} minZ The minimum Z of the Octree.
+	* @param {Number} maxX The maximum X of the Octree.
+	* @param {Number} maxY The maximum Y of the Octree.
+	* @param {Number} maxZ The maximum Z of the Octree.
+	* @param {Object} [config] A config object that contains various additional optional arguments.
+	* @param {Array} [config.points=[]]
+	*        An array of objects to add as points after creation. For convenience.
+	* @param {Function} [config.xAccessor=function(p){return p.x;}]
+	*        Function that accepts one point object argument and returns the x position of that
+	*        point object.
+	* @param {Function} [config.yAccessor=function(p){return p.y;}]
+	*        Function that accepts one point object argument and returns the y position of that
+	*        point object.
+	* @param {Function} [config.zAccessor=function(p){return p.z;}]
+	*        Function that accepts one point object argument and returns the z position of that
+	*        point object.
+	* @param {Function} [config.upperThreshold=8]
+	*        The maximum number of points in a leaf node.
+	* @param {Function} [config.lowerThreshold=4]
+	*        If a parent nodes total number of contained points falls below this number,
+	*        it will merge all subtrees and become a leaf node.
+	* @param {Number} [config.maxDepth=16] The maximum depth of the Octree
+	*/
+	var Octree = function(minX, minY, minZ, maxX, maxY, maxZ, config)
+	{
+		if (typeof minX !== "number"
+		    || typeof minY !== "number"
+			|| typeof minZ !== "number"
+			|| typeof maxX !== "number"
+			|| typeof maxY !== "number"
+			|| typeof maxZ !== "number")
+		{
+			throw new TypeError("Octree constructor boundary arguments must be numbers!");
+		}
+		
+		// Copy arguments
+		this.minX = minX;
+		this.minY = minY;
+		this.minZ = minZ;
+		this.maxX = maxX;
+		this.maxY = maxY;
+		this.maxZ = maxZ;
+		
+		//New points
+		this.points = [];
+		
+		if (config)
+		{
+			if (config.xAccessor)
+			{
+				if (typeof config.xAccessor !== "function")
+					throw new TypeError("\"config.xAccessor\" can only be false or a Function");
+				this.xAccessor = config.xAccessor;
+			}
+			
+			if (config.yAccessor)
+			{
+				if (typeof config.yAccessor !== "function")
+					throw new TypeError("\"config.yAccessor\" can only be false or a Function");
+				this.yAccessor = config.yAccessor;
+			}
+			
+			if (config.zAccessor)
+			{
+				if (typeof config.zAccessor !== "function")
+					throw new TypeError("\"config.zAccessor\" can only be false or a Function");
+				this.zAccessor = config.zAccessor;
+			}
+			
+			if (config.upperThreshold)
+			{
+				if (typeof config.upperThreshold !== "number")
+					throw new TypeError("\"config.upperThreshold\" can only be false or a Number");
+				this.upperThreshold = config.upperThreshold;
+			}
+			
+			if (config.lowerThreshold)
+			{
+				if (typeof config.lowerThreshold !== "number")
+					throw new TypeError("\"config.lowerThreshold\" can only be false or a Number");
+				this.lowerThreshold = config.lowerThreshold;
+			}
+			
+			if (config.maxDepth)
+			{
+				if (typeof config.maxDepth !== "number")
+					throw new TypeError("\"config.maxDepth\" can only be false or a Number");
+				this.maxDepth = config.maxDepth;
+			}
+			
+			if (config.points)
+			{
+				var points = config.points;
+				if (Object.prototype.toString.call(points) !== "[object Array]")
+				{
+					throw new TypeError("\"config.points\" can only be false or an instance of Array");
+				}
+				
+				points.forEach(function (p) {
+					addPoint.call(this, p);
+				}, this);
+			}
+		}
+	}
+	
+	// Member variables
+	
+	/**
+	* The eight subtrees of the Octree. The subtree holding a position is found by adding 1 if the
+	* position is in the right half of the node, 2 if it is in the bottom half and 4 if it is in
+	* the back half.
+	* 
+	* @property children
+	* @type {Array}
+	* @default null
+	* @private
+	*/
+	Octree.prototype.children = null;
+	
+	/**
+	* The points that are contained within this Octree node.
+	* If not null, it implies that this Octree object is a leaf node and that
+	* {{#crossLink "Octree/children:property"}}{{/crossLink}} is null.
+	* On the other hand, if points is null, children holds eight valid Octree instances.
+	* 
+	* @property points
+	* @type {Array}
+	* @default []
+	* @private
+	*/
+	Octree.prototype.points = [];
+	
+	/**
+	* The left most point of space that the Octree considers.
+	* 
+	* @property minX
+	* @type {Number}
+	* @default Number.NaN
+	* @private
+	*/
+	Octree.prototype.minX = Number.NaN;
+	/**
+	* The top most point of space that the Octree considers.
+	* 
+	* @property minY
+	* @type {Number}
+	* @default Number.NaN
+	* @private
+	*/
+	Octree.prototype.minY = Number.NaN;
+	/**
+	* The front most point of space that the Octree considers.
+	* 
+	* @property minZ
+	* @type {Number}
+	* @default Number.NaN
+	* @private
+	*/
+	Octree.prototype.minZ = Number.NaN;
+	/**
+	* The right most point of space that the Octree considers.
+	* 
+	* @property maxX
+	* @type {Number}
+	* @default Number.NaN
+	* @private
+	*/
+	Octree.prototype.maxX = Number.NaN;
+	/**
+	* The bottom most point of space that the Octree considers.
+	* 
+	* @property maxY
+	* @type {Number}
+	* @default Number.NaN
+	* @private
+	*/
+	Octree.prototype.maxY = Number.NaN;
+	/**
+	* The back most point of space that the Octree considers.
+	* 
+	* @property maxZ
+	* @type {Number}
+	* @default Number.NaN
+	* @private
+	*/
+	Octree.prototype.maxZ = Number.NaN;
+	
+	/**
+	* This function retrieves the x position of an object.
+	* 
+	* @property xAccessor
+	* @type {Function}
+	* @default function (p) { return p.x; };
+	*/
+	Octree.prototype.xAccessor = function (p) { return p.x; };
+	
+	/**
+	* This function retrieves the y position of an object.
+	* 
+	* @property yAccessor
+	* @type {Function}
+	* @default function (p) { return p.y; };
+	*/
+	Octree.prototype.yAccessor = function (p) { return p.y; };
+	
+	/**
+	* This function retrieves the z position of an object.
+	* 
+	* @property zAccessor
+	* @type {Function}
+	* @default function (p) { return p.z; };
+	*/
+	Octree.prototype.zAccessor = function (p) { return p.z; };
+	
+	/**
+	* The maximum number of points in a leaf node
+	* 
+	* @property upperThreshold
+	* @type {Number}
+	* @default 8
+	*/
+	Octree.prototype.upperThreshold = 8;
+	
+	/**
+	* If a parent nodes total number of contained points falls below this number,
+	* it will merge all subtrees and become a leaf node.
+	* 
+	* @property lowerThreshold
+	* @type {Number}
+	* @default 4
+	*/
+	Octree.prototype.lowerThreshold = 4;
+	
+	/**
+	* Total number of points contained within this Octree
+	* 
+	* @property pointCount
+	* @type {Number}
+	* @private
+	* @default 0
+	*/
+	Octree.prototype.pointCount = 0;
+	
+	/**
+	* The maximum depth of the Octree.
+	* 
+	* @property maxDepth
+	* @type {Number}
+	* @private
+	* @default 16
+	*/
+	Octree.prototype.maxDepth = 16;
+	
+	/**
+	* This function finds the subtree that a position belongs in.
+	* 
+	* @method childAt
+	* @param {Number} x The x position.
+	* @param {Number} y The y position.
+	* @param {Number} z The z position.
+	* @return {Octree} The subtree covering (x, y, z).
+	* @private
+	*/
+	function childAt(x, y, z)
+	{
+		var first = this.children[0];
+		
+		return this.children[(x < first.maxX ? 0 : 1)
+			+ (y < first.maxY ? 0 : 2)
+			+ (z < first.maxZ ? 0 : 4)];
+	}
+	
+	/**
+	* This function decides if the Octree should be sub-divided, the same way a QuadTree does.
+	* 
+	* @method shouldSubdivide
+	* @param {Number} count The number of points in this leaf node.
+	* @private
+	* @return {Boolean} If a subdivision should be performed.
+	*/
+	function shouldSubdivide(count)
+	{
+		if (count <= this.upperThreshold)
+			return false; //No point subdividing if we don't have enough points
+		
+		if (this.minX === this.maxX && this.minY === this.maxY && this.minZ === this.maxZ)
+		{
+			//No point subdividing if we are just one point.
+			return false;
+		}
+		
+		if (this.maxDepth <= 1)
+		{
+			//Cant subdivide if this must be a leaf node!
+			return false;
+		}
+		
+		return true;
+	}
+	
+	/**
+	* This function splits a leaf node into 8 subtrees.
+	* 
+	* @method subdivide
+	* @private
+	*/
+	function subdivide()
+	{
+		if (this.points === null)
+		{
+			throw new Error("Cannot subdivide an Octree that is not a leaf node");
+		}
+		
+		var xs = [this.minX, (this.minX + this.maxX) / 2, this.maxX],
+		    ys = [this.minY, (this.minY + this.maxY) / 2, this.maxY],
+		    zs = [this.minZ, (this.minZ + this.maxZ) / 2, this.maxZ];
+		
+		var config = {
+			xAccessor: this.xAccessor,
+			yAccessor: this.yAccessor,
+			zAccessor: this.zAccessor,
+			upperThreshold: this.upperThreshold,
+			lowerThreshold: this.lowerThreshold,
+			maxDepth: this.maxDepth - 1
+		};
+		
+		//Make the new nodes, in the order childAt expects
+		this.children = [];
+		for (var i = 0; i < 8; i++)
+		{
+			var x = i & 1,
+			    y = (i >> 1) & 1,
+			    z = (i >> 2) & 1;
+			
+			this.children.push(new Octree(xs[x], ys[y], zs[z], xs[x + 1], ys[y + 1], zs[z + 1],
+			                              config));
+		}
+		
+		//Add all the points
+		this.points.forEach(distributePoint, this);
+		
+		//We are no longer a leaf node, clear the points out.
+		this.points = null;
+	}
+	
+	/**
+	* This function places a point in the correct subtree.
+	* 
+	* @method distributePoint
+	* @param {Object} A point object to place in one of the subtrees.
+	* @private
+	*/
+	function distributePoint(point)
+	{
+		var child = childAt.call(this,
+			this.xAccessor(point), this.yAccessor(point), this.zAccessor(point));
+		
+		addPoint.call(child, point);
+	}
+	
+	/**
+	* This function gathers every point in this subtree.
+	* 
+	* @method collectPoints
+	* @param {Array} pointsArray The array to add the points to.
+	* @private
+	*/
+	function collectPoints(pointsArray)
+	{
+		if (this.points !== null)
+		{
+			pointsArray.push.apply(pointsArray, this.points);
+			return;
+		}
+		
+		for (var i = 0; i < 8; i++)
+		{
+			collectPoints.call(this.children[i], pointsArray);
+		}
+	}
+	
+	/**
+	* This function merges all the points in the subtrees into this node, making it a leaf node.
+	* 
+	* @method merge
+	* @private
+	*/
+	function merge()
+	{
+		if (this.points !== null)
+		{
+			throw new Error("Cannot merge an Octree that is a leaf node");
+		}
+		
+		var points = [];
+		collectPoints.call(this, points);
+		this.points = points;
+		this.children = null;
+	}
+	
+	/**
+	* Adds a point to the Octree
+	* 
+	* @method add
+	* @param {Object} point The point to add to the Octree.
+	*/
+	Octree.prototype.add = function (point)
+	{
+		addPoint.call(this, point);
+	}
+	
+	/**
+	* This function adds a point object.
+	* 
+	* @method addPoint
+	* @param {Object} point The point to add.
+	* @private
+	*/
+	function addPoint(point)
+	{
+		//Checked before anything changes, so a failed add leaves the Octree as it was
+		if (!this.contains(point))
+		{
+			throw new Error("Point is out of bounds of the Octree");
+		}
+		
+		//Point added.
+		this.pointCount++;
+		
+		if (this.points === null)
+		{
+			//Not a leaf node
+			distributePoint.call(this, point);
+		}
+		else
+		{
+			//Leaf node
+			this.points.push(point);
+			
+			//Split up if we have too many points
+			if (shouldSubdivide.call(this, this.points.length))
+			{
+				subdivide.call(this);
+			}
+		}
+	}
+	
+	/**
+	* Removes a point from the Octree
+	* 
+	* @method remove
+	* @param {Object} point The point to remove from the Octree.
+	* @return {Boolean} True on success.
+	*/
+	Octree.prototype.remove = function (point)
+	{
+		return removeAt.call(this, point,
+			this.xAccessor(point), this.yAccessor(point), this.zAccessor(point));
+	}
+	
+	/**
+	* This function removes a point, finding it by the position it was added at.
+	* 
+	* @method removeAt
+	* @param {Object} point The point object to remove.
+	* @param {Number} x The x position of the point when it was added.
+	* @param {Number} y The y position of the point when it was added.
+	* @param {Number} z The z position of the point when it was added.
+	* @return {Boolean} True on success.
+	* @private
+	*/
+	function removeAt(point, x, y, z)
+	{
+		//Cannot possibly have the object if it isn't in our boundaries!
+		if (!this.contains(x, y, z))
+		{
+			return false;
+		}
+		
+		if (this.points === null)
+		{
+			//Remove the object from the one subtree it can be in
+			var removed = removeAt.call(childAt.call(this, x, y, z), point, x, y, z);
+			
+			//Were we successful?
+			if (removed)
+			{
+				this.pointCount--;
+				
+				if (this.pointCount < this.lowerThreshold)
+				{
+					merge.call(this);
+				}
+			}
+			
+			return removed;
+		}
+		else
+		{
+			for (var i=0; i<this.points.length; i++)
+			{
+				if (this.points[i] === point)
+				{
+					this.points.splice(i,1);
+					this.pointCount--;
+					return true;
+				}
+			}
+			return false;
+		}
+	}
+	
+	/**
+	* Tells the Octree that a point object has moved. The point is found using its old position,
+	* and moved to wherever its new position belongs.
+	* 
+	* @method objectMoved
+	* @param {Object} point The point object that moved.
+	* @param {Number} oldX The x position of the point before it moved.
+	* @param {Number} oldY The y position of the point before it moved.
+	* @param {Number} oldZ The z position of the point before it moved.
+	* @return {Boolean} True if the point was found in the Octree.
+	* @throws {Error} If the point moved out of bounds. The Octree is left as it was, still holding 
+	*         the point at its old position.
+	*/
+	Octree.prototype.objectMoved = function (point, oldX, oldY, oldZ)
+	{
+		if (typeof oldX !== "number" || typeof oldY !== "number" || typeof oldZ !== "number")
+			throw new TypeError("oldX, oldY and oldZ must be numbers");
+		
+		//Checked before anything is taken out, so a bad move leaves the Octree as it was
+		if (!this.contains(point))
+			throw new Error("Point is out of bounds of the Octree");
+		
+		if (!removeAt.call(this, point, oldX, oldY, oldZ))
+			return false;
+		
+		addPoint.call(this, point);
+		return true;
+	}
+	
+	function squareDistance(x1, y1, z1, x2, y2, z2)
+	{
+		var dx = x1 - x2,
+		    dy = y1 - y2,
+		    dz = z1 - z2;
+		
+		return dx * dx + dy * dy + dz * dz;
+	}
+	
+	/**
+	* Calculates the square distance from an arbitrary point P to the closest position in a node.
+	* 
+	* @method boxSquareDistance
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} z Z coordinate of P
+	* @param {Octree} octreeNode The node.
+	* @return {Number} The square distance, or 0 if P is inside the node.
+	* @private
+	*/
+	function boxSquareDistance(x, y, z, octreeNode)
+	{
+		var dx = Math.max(octreeNode.minX - x, 0, x - octreeNode.maxX),
+		    dy = Math.max(octreeNode.minY - y, 0, y - octreeNode.maxY),
+		    dz = Math.max(octreeNode.minZ - z, 0, z - octreeNode.maxZ);
+		
+		return dx * dx + dy * dy + dz * dz;
+	}
+	
+	/**
+	* Walks the Octree looking for points close to an arbitrary point P. Subtrees are visited in
+	* order of how close they are to P, and subtrees that cannot hold anything closer than
+	* search.sqDistance are skipped.
+	* 
+	* @method nearestSearch
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} z Z coordinate of P
+	* @param {Object} search
+	*        sqDistance: Square distance beyond which points are of no interest. Kept up to date by
+	*                    visit as better points are found.
+	*        hits:       Incremented by the number of points examined.
+	*        visit:      Function called on search for each examined point, with the point and its
+	*                    square distance to P.
+	* @private
+	*/
+	function nearestSearch(x, y, z, search)
+	{
+		if (this.points !== null)
+		{
+			// Leaf node! Search my points!
+			for (var i = 0; i < this.points.length; i++)
+			{
+				var point = this.points[i];
+				
+				search.visit(point, squareDistance(x, y, z,
+					this.xAccessor(point), this.yAccessor(point), this.zAccessor(point)));
+			}
+			
+			search.hits += this.points.length;
+		}
+		else
+		{
+			var order = this.children.map(function (child)
+			{
+				return { child: child, sqDistance: boxSquareDistance(x, y, z, child) };
+			});
+			
+			// The subtree P is in comes first, at a distance of 0
+			order.sort(function (a, b) { return a.sqDistance - b.sqDistance; });
+			
+			for (var i = 0; i < order.length; i++)
+			{
+				// The rest are further away still
+				if (search.sqDistance < order[i].sqDistance)
+					break;
+				
+				nearestSearch.call(order[i].child, x, y, z, search);
+			}
+		}
+	}
+	
+	/**
+	* Gets the nearest points to an arbitrary point P.
+	* 
+	* @method nearestPoint
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} z Z coordinate of P
+	* @param {Number} [maxDistance]
+	*        If given, only points at most this far away from P are considered. Parts of the
+	*        Octree further away than this are never searched. If negative, nothing is found.
+	* @return {Object}
+	*         sqDistance: Square distance to nearest point object(s) to P, or Number.MAX_VALUE if
+	*                     no point was found.
+	*         points:     Array of all points exactly sqDistance away from P.
+	*         hits:       Number of point objects examined during the search.
+	*/
+	Octree.prototype.nearestPoint = function (x, y, z, maxDistance)
+	{
+		var sqMaxDistance = Number.MAX_VALUE;
+		
+		if (maxDistance !== undefined)
+		{
+			if (typeof maxDistance !== "number")
+				throw new TypeError("maxDistance can only be undefined or a Number");
+			
+			if (maxDistance < 0)
+			{
+				// Nothing is closer than a negative distance, just like with queryRadius
+				return { sqDistance: Number.MAX_VALUE, points: [], hits: 0 };
+			}
+			
+			sqMaxDistance = maxDistance * maxDistance;
+		}
+		
+		var search = {
+			sqDistance: sqMaxDistance,
+			points: [],
+			hits: 0,
+			visit: function (point, sd)
+			{
+				if (sd < this.sqDistance)
+				{
+					// If the distance to this point is less than the current best,
+					// clear the set of closest points and add this one
+					this.points.length = 0;
+					this.points.push(point);
+					
+					this.sqDistance = sd;
+				}
+				else if (sd === this.sqDistance)
+				{
+					// If the distance to this point is the same as the current best, add it to
+					// the set of closest points
+					this.points.push(point);
+				}
+			}
+		};
+		
+		// Don't bother if the whole Octree is too far away
+		if (maxDistance === undefined
+		    || this.points !== null
+		    || boxSquareDistance(x, y, z, this) <= sqMaxDistance)
+		{
+			nearestSearch.call(this, x, y, z, search);
+		}
+		
+		return {
+			sqDistance: search.points.length > 0 ? search.sqDistance : Number.MAX_VALUE,
+			points: search.points,
+			hits: search.hits
+		};
+	}
+	
+	/**
+	* Gets the k nearest points to an arbitrary point P.
+	* 
+	* @method kNearest
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} z Z coordinate of P
+	* @param {Number} k The maximum number of points to find.
+	* @return {Object}
+	*         points:      Array of the (up to) k point objects closest to P, closest first. Ties
+	*                      at the k-th place are broken arbitrarily.
+	*         sqDistances: Square distance from P to each of the points, in the same order.
+	*         hits:        Number of point objects examined during the search.
+	*/
+	Octree.prototype.kNearest = function (x, y, z, k)
+	{
+		if (typeof k !== "number")
+			throw new TypeError("k must be a number");
+		
+		var search = {
+			sqDistance: k >= 1 ? Number.MAX_VALUE : -1,
+			hits: 0,
+			points: [],
+			sqDistances: [],
+			visit: function (point, sd)
+			{
+				if (this.points.length >= k && sd >= this.sqDistance)
+					return;
+				
+				// Keep the candidates sorted, closest first, dropping the worst once there are
+				// more than k of them
+				var i = this.sqDistances.length;
+				while (i > 0 && this.sqDistances[i - 1] > sd)
+					i--;
+				
+				this.points.splice(i, 0, point);
+				this.sqDistances.splice(i, 0, sd);
+				
+				if (this.points.length > k)
+				{
+					this.points.pop();
+					this.sqDistances.pop();
+				}
+				
+				// Once we have k candidates, nothing further away than the worst of them matters
+				if (this.points.length >= k)
+					this.sqDistance = this.sqDistances[k - 1];
+			}
+		};
+		
+		if (k >= 1)
+			nearestSearch.call(this, x, y, z, search);
+		
+		return {
+			points: search.points,
+			sqDistances: search.sqDistances,
+			hits: search.hits
+		};
+	}
+	
+	/**
+	* Gets all the points inside an axis aligned box B.
+	* 
+	* @method queryRange
+	* @param {Number} minX The left most edge of B
+	* @param {Number} minY The top most edge of B
+	* @param {Number} minZ The front most edge of B
+	* @param {Number} maxX The right most edge of B
+	* @param {Number} maxY The bottom most edge of B
+	* @param {Number} maxZ The back most edge of B
+	* @param {Boolean} [inclusive=false]
+	*        If true, points lying exactly on the right, bottom or back faces of B are included.
+	*        Otherwise B is half-open, just like the bounds of the Octree itself.
+	* @return {Array} All point objects inside B.
+	*/
+	Octree.prototype.queryRange = function (minX, minY, minZ, maxX, maxY, maxZ, inclusive)
+	{
+		if (typeof minX !== "number"
+		    || typeof minY !== "number"
+			|| typeof minZ !== "number"
+			|| typeof maxX !== "number"
+			|| typeof maxY !== "number"
+			|| typeof maxZ !== "number")
+		{
+			throw new TypeError("queryRange boundary arguments must be numbers!");
+		}
+		
+		function overlaps(octreeNode)
+		{
+			// Nodes are half-open, so a node ending exactly on B's near face doesn't overlap B
+			if (octreeNode.maxX <= minX || octreeNode.maxY <= minY || octreeNode.maxZ <= minZ)
+				return false;
+			
+			// Likewise a node starting exactly on B's far face only overlaps B when that face
+			// is inclusive.
+			return inclusive
+				? octreeNode.minX <= maxX && octreeNode.minY <= maxY && octreeNode.minZ <= maxZ
+				: octreeNode.minX < maxX && octreeNode.minY < maxY && octreeNode.minZ < maxZ;
+		}
+		
+		function queryRangePrivate(result)
+		{
+			if (this.points !== null)
+			{
+				// Leaf node! Search my points!
+				for (var i = 0; i < this.points.length; i++)
+				{
+					var pointX = this.xAccessor(this.points[i]),
+					    pointY = this.yAccessor(this.points[i]),
+					    pointZ = this.zAccessor(this.points[i]);
+					
+					if (pointX >= minX && pointY >= minY && pointZ >= minZ
+					    && (inclusive
+					        ? pointX <= maxX && pointY <= maxY && pointZ <= maxZ
+					        : pointX < maxX && pointY < maxY && pointZ < maxZ))
+					{
+						result.push(this.points[i]);
+					}
+				}
+			}
+			else
+			{
+				// Only go into the subtrees that B touches
+				for (var i = 0; i < 8; i++)
+				{
+					if (overlaps(this.children[i]))
+						queryRangePrivate.call(this.children[i], result);
+				}
+			}
+		}
+		
+		var result = [];
+		queryRangePrivate.call(this, result);
+		return result;
+	}
+	
+	/**
+	* Gets all the points within a distance r of an arbitrary point P.
+	* 
+	* @method queryRadius
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} z Z coordinate of P
+	* @param {Number} r The radius of the sphere around P. Points exactly r away are included.
+	* @return {Array} All point objects at most r away from P.
+	*/
+	Octree.prototype.queryRadius = function (x, y, z, r)
+	{
+		if (typeof x !== "number" || typeof y !== "number" || typeof z !== "number"
+		    || typeof r !== "number")
+		{
+			throw new TypeError("queryRadius arguments must be numbers!");
+		}
+		
+		var sqRadius = r * r;
+		
+		function queryRadiusPrivate(result)
+		{
+			if (this.points !== null)
+			{
+				for (var i = 0; i < this.points.length; i++)
+				{
+					var point = this.points[i];
+					
+					if (squareDistance(x, y, z, this.xAccessor(point), this.yAccessor(point),
+					                   this.zAccessor(point)) <= sqRadius)
+					{
+						result.push(point);
+					}
+				}
+			}
+			else
+			{
+				// Only go into the subtrees that the sphere touches
+				for (var i = 0; i < 8; i++)
+				{
+					if (boxSquareDistance(x, y, z, this.children[i]) <= sqRadius)
+						queryRadiusPrivate.call(this.children[i], result);
+				}
+			}
+		}
+		
+		var result = [];
+		if (r >= 0)
+			queryRadiusPrivate.call(this, result);
+		return result;
+	}
+	
+	/**
+	* Check if a point is within the bounds of this Octree
+	* 
+	* @method contains
+	* @param {Object|Number} pointOrX Either a point object or the x coordinate of a point.
+	* @param {Number} [y] The y coordinate of the point, if pointOrX is a Number.
+	* @param {Number} [z] The z coordinate of the point, if pointOrX is a Number.
+	* @return {Boolean} True if the point lies in the bounds of this Octree.
+	*/
+	Octree.prototype.contains = function (pointOrX, y, z)
+	{
+		var pointX, pointY, pointZ;
+		
+		if (y === undefined)
+		{
+			pointX = this.xAccessor(pointOrX);
+			pointY = this.yAccessor(pointOrX);
+			pointZ = this.zAccessor(pointOrX);
+		}
+		else
+		{
+			if (typeof pointOrX !== "number" || typeof z !== "number")
+				throw new TypeError("If y is defined, pointOrX and z must be numbers");
+			pointX = pointOrX;
+			pointY = y;
+			pointZ = z;
+		}
+		
+		return (pointX >= this.minX
+		    && pointX < this.maxX
+			&& pointY >= this.minY
+			&& pointY < this.maxY
+			&& pointZ >= this.minZ
+			&& pointZ < this.maxZ);
+	}
+	
+	return Octree;
+}();
@@ -0,0 +1,181 @@
+function octreeSqDistance(p, x, y, z)
+{
+	var dx = p.x - x,
+		dy = p.y - y,
+		dz = p.z - z;
+	
+	return dx * dx + dy * dy + dz * dz;
+}
+
+function sortOctreeList(points)
+{
+	return points.sort(function (a, b) {
+		return a.x - b.x != 0 ? a.x - b.x : (a.y - b.y != 0 ? a.y - b.y : a.z - b.z);
+	});
+}
+
+function octreeCount(ot)
+{
+	if (ot.points !== null)
+		return ot.points.length;
+	
+	return ot.children.reduce(function (sum, child) { return sum + octreeCount(child); }, 0);
+}
+
+test( "octree basic test", function() {
+	var ot = new Craxic.Octree(0, 0, 0, 10, 10, 10, { upperThreshold: 4, lowerThreshold: 2 });
+	var points = [];
+	
+	for (var i=0; i<8; i++)
+	{
+		var point = { x: i & 1 ? 7 : 2, y: i & 2 ? 7 : 2, z: i & 4 ? 7 : 2 };
+		points.push(point);
+		ot.add(point);
+	}
+	
+	equal(ot.points, null, "Too many points splits the root");
+	equal(ot.children.length, 8, "The root has eight children");
+	ok(ot.children.every(function (child, i) {
+		return child.points.length === 1 && child.points[0] === points[i];
+	}), "Each octant holds its own point");
+	
+	ok(ot.contains(points[0]), "Contains a point object inside it");
+	ok(ot.contains(9, 9, 9), "Contains a position inside it");
+	ok(!ot.contains(9, 9, 10), "Bounds are half-open");
+	throws(function () { ot.add({ x: 5, y: 5, z: 11 }); }, "Adding outside the bounds throws");
+	
+	for (var i=0; i<7; i++)
+	{
+		ok(ot.remove(points[i]), "Removing a point succeeds");
+	}
+	
+	notEqual(ot.points, null, "Too few points merges the root");
+	deepEqual(ot.points, [points[7]], "Merging keeps the remaining point");
+	ok(!ot.remove(points[0]), "Removing a point twice fails");
+	
+	var tiny = new Craxic.Octree(0, 0, 0, 1, 1, 1, { upperThreshold: 1, maxDepth: 3 });
+	for (var i=0; i<10; i++)
+	{
+		tiny.add({ x: 0, y: 0, z: 0 });
+	}
+	equal(octreeCount(tiny), 10, "maxDepth stops duplicates from splitting forever");
+});
+
+
+test( "octree randomized test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var m = 500; //Number of moves
+	var r = 500; //Number of points to remove
+	var q = 100; //Number of test queries
+	
+	var ot = new Craxic.Octree(0, 0, 0, d, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d),
+			z: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		ot.add(point);
+	}
+	
+	for (var i=0; i<m; i++)
+	{
+		var point = pointList[Math.floor(Math.random() * pointList.length)],
+			oldX = point.x,
+			oldY = point.y,
+			oldZ = point.z;
+		
+		point.x = Math.floor(Math.random() * d);
+		point.y = Math.floor(Math.random() * d);
+		point.z = Math.floor(Math.random() * d);
+		
+		ok(ot.objectMoved(point, oldX, oldY, oldZ), "Moving a point finds it");
+	}
+	
+	for (var i=0; i<r; i++)
+	{
+		var point = pointList.splice(Math.floor(Math.random() * pointList.length), 1)[0];
+		ok(ot.remove(point), "Removing a point succeeds");
+	}
+	
+	equal(octreeCount(ot), pointList.length, "Every remaining point is in the Octree once");
+	
+	var escaped = pointList[0],
+		escapedZ = escaped.z;
+	
+	escaped.z = d + 10;
+	throws(function () { ot.objectMoved(escaped, escaped.x, escaped.y, escapedZ); },
+		"Moving a point out of bounds throws");
+	
+	escaped.z = escapedZ;
+	equal(ot.pointCount, pointList.length, "Moving a point out of bounds keeps the point count");
+	equal(octreeCount(ot), pointList.length, "Moving a point out of bounds loses nothing");
+	ok(ot.queryRange(escaped.x, escaped.y, escaped.z, escaped.x + 1, escaped.y + 1, escaped.z + 1)
+		.indexOf(escaped) >= 0, "The point is still held at its old position");
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.random() * d,
+			y = Math.random() * d,
+			z = Math.random() * d;
+		
+		// Nearest point
+		var nearest = ot.nearestPoint(x, y, z),
+			naiveSqDistance = Math.min.apply(null, pointList.map(function (p) {
+				return octreeSqDistance(p, x, y, z);
+			}));
+		
+		equal(nearest.sqDistance, naiveSqDistance, "Nearest distance must equal naive search");
+		deepEqual(sortOctreeList(nearest.points), sortOctreeList(pointList.filter(function (p) {
+			return octreeSqDistance(p, x, y, z) === naiveSqDistance;
+		})), "Nearest points must equal naive search");
+		
+		// k nearest
+		var k = 1 + Math.floor(Math.random() * 20),
+			kNearest = ot.kNearest(x, y, z, k);
+		
+		deepEqual(kNearest.sqDistances, pointList.map(function (p) {
+			return octreeSqDistance(p, x, y, z);
+		}).sort(function (a, b) { return a - b; }).slice(0, k),
+			"k nearest distances must equal naive implementation");
+		
+		// Range
+		var x2 = x + Math.random() * (d - x),
+			y2 = y + Math.random() * (d - y),
+			z2 = z + Math.random() * (d - z);
+		
+		deepEqual(sortOctreeList(ot.queryRange(x, y, z, x2, y2, z2)),
+			sortOctreeList(pointList.filter(function (p) {
+				return p.x >= x && p.y >= y && p.z >= z && p.x < x2 && p.y < y2 && p.z < z2;
+			})), "Range query must equal naive filter");
+		
+		// Radius
+		var radius = Math.random() * 20;
+		
+		deepEqual(sortOctreeList(ot.queryRadius(x, y, z, radius)),
+			sortOctreeList(pointList.filter(function (p) {
+				return octreeSqDistance(p, x, y, z) <= radius * radius;
+			})), "Radius query must equal naive filter");
+	}
+	
+	var bounded = ot.nearestPoint(-50, -50, -50, 10);
+	deepEqual(bounded.points, [], "Nothing is within maxDistance of a far away position");
+	equal(bounded.hits, 0, "A far away maxDistance search looks at nothing");
+	
+	var negative = ot.nearestPoint(50, 50, 50, -10);
+	deepEqual(negative.points, [], "Nothing is within a negative maxDistance");
+	equal(negative.sqDistance, Number.MAX_VALUE, "A negative maxDistance finds no distance");
+	
+	var inclusive = { x: 10, y: 20, z: 30 };
+	ot.add(inclusive);
+	ok(ot.queryRange(0, 0, 0, 10, 20, 30, true).indexOf(inclusive) >= 0,
+		"Inclusive range includes the far faces");
+	ok(ot.queryRange(0, 0, 0, 10, 20, 30).indexOf(inclusive) < 0,
+		"Half-open range excludes the far faces");
+});
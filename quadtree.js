@@ -49,7 +49,8 @@ Craxic.QuadTree = function()
 	* @param {Number} maxY The maximum Y of the QuadTree.
 	* @param {Object} [config] A config object that contains various additional optional arguments.
 	* @param {Array} [config.points=[]] 
-	*        An array of objects to add as points after creation. For convenience.
+	*        An array of objects to add as points after creation. For convenience. The points are
+	*        loaded in bulk, which is much faster than adding them one at a time.
 	* @param {Function} [config.xAccessor=function(p){return p.x;}] 
 	*        Function that accepts one point object argument and returns the x position of that 
 	*        point object.
@@ -62,6 +63,48 @@ Craxic.QuadTree = function()
 	*        If a parent nodes total number of contained points falls below this number, 
 	*        it will merge all subtrees and become a leaf node.
 	* @param {Number} [config.maxDepth=16] The maximum depth of the QuadTree
+	* @param {Boolean} [config.autoExpand=false] 
+	*        If true, adding a point outside of the bounds of the QuadTree grows the QuadTree until
+	*        the point fits instead of throwing an error.
+	* @param {Function} [config.minXAccessor] 
+	*        Function that accepts one object argument and returns the left edge of that object.
+	*        Giving this and the other three edge accessors puts the QuadTree in rectangle mode,
+	*        where objects are axis aligned rectangles rather than points. Objects that straddle 
+	*        the split of a node are kept by that node rather than one of its subtrees.
+	* @param {Function} [config.minYAccessor] 
+	*        Function that accepts one object argument and returns the top edge of that object.
+	* @param {Function} [config.maxXAccessor] 
+	*        Function that accepts one object argument and returns the right edge of that object.
+	* @param {Function} [config.maxYAccessor] 
+	*        Function that accepts one object argument and returns the bottom edge of that object.
+	* @param {Number} [config.looseness=1] 
+	*        In rectangle mode, makes the QuadTree a loose QuadTree by enlarging the bounds of 
+	*        every node by this factor. Each rectangle lives in the deepest node whose enlarged 
+	*        bounds contain it, so fewer rectangles get stuck in the upper nodes and moving 
+	*        rectangles rarely change nodes. Must be at least 1; 2 is a common choice.
+	* @param {String|Object} [config.metric="euclidean"]
+	*        The distance metric used by nearest point, k nearest and radius queries. Either the 
+	*        name of a built in metric ("euclidean", "manhattan", "chebyshev" or "haversine") or an
+	*        object with two functions:
+	*        distance(x1, y1, x2, y2):                 The distance between two positions.
+	*        boxDistance(x, y, minX, minY, maxX, maxY): A lower bound on the distance from a
+	*                                                   position to any position in a box. Must
+	*                                                   be 0 if the position is in the box.
+	*        Queries that compare whole nodes with each other or look for the furthest points, such 
+	*        as forEachPairWithin and join, also need distances to never shrink as positions get 
+	*        further apart along either axis.
+	* @param {Boolean} [config.geographic=false]
+	*        If true, positions are longitudes (x) and latitudes (y) in degrees. Distances are great
+	*        circle distances in meters, as given by the "haversine" metric, and range queries 
+	*        with minX greater than maxX wrap across the antimeridian. The bounds of the QuadTree
+	*        would normally be -180, -90, 180, 90. Not supported in rectangle mode, or with any
+	*        config.metric other than "haversine".
+	* @param {Boolean} [config.typedArrays=false]
+	*        If true, the QuadTree stores the positions of its points in typed arrays instead of 
+	*        holding point objects. Points are then integer ids from 0 to 4294967295, added with 
+	*        add(id, x, y), and queries give ids instead of point objects. The accessors and 
+	*        config.points are ignored. Not supported in rectangle mode. See 
+	*        {{#crossLink "QuadTree/toArrayBuffer:method"}}{{/crossLink}}.
 	*/
 	var QuadTree = function(minX, minY, maxX, maxY, config) 
 	{
@@ -118,8 +161,88 @@ Craxic.QuadTree = function()
 					throw new TypeError("\"config.maxDepth\" can only be false or a Number");
 				this.maxDepth = config.maxDepth;
 			}
+			
+			if (config.autoExpand)
+			{
+				if (typeof config.autoExpand !== "boolean")
+					throw new TypeError("\"config.autoExpand\" can only be false or a Boolean");
+				this.autoExpand = config.autoExpand;
+			}
+			
+			if (config.minXAccessor || config.minYAccessor 
+			    || config.maxXAccessor || config.maxYAccessor)
+			{
+				if (typeof config.minXAccessor !== "function"
+				    || typeof config.minYAccessor !== "function"
+					|| typeof config.maxXAccessor !== "function"
+					|| typeof config.maxYAccessor !== "function")
+				{
+					throw new TypeError("\"config.minXAccessor\", \"config.minYAccessor\", " 
+						+ "\"config.maxXAccessor\" and \"config.maxYAccessor\" must all be Functions " 
+						+ "if any of them are given");
+				}
+				this.minXAccessor = config.minXAccessor;
+				this.minYAccessor = config.minYAccessor;
+				this.maxXAccessor = config.maxXAccessor;
+				this.maxYAccessor = config.maxYAccessor;
+			}
+			
+			if (config.looseness)
+			{
+				if (typeof config.looseness !== "number")
+					throw new TypeError("\"config.looseness\" can only be false or a Number");
+				if (config.looseness < 1)
+					throw new RangeError("\"config.looseness\" must be at least 1");
+				if (config.looseness > 1 && this.minXAccessor === null)
+					throw new Error("\"config.looseness\" is only supported in rectangle mode");
+				this.looseness = config.looseness;
+			}
+			
+			if (config.geographic)
+			{
+				if (typeof config.geographic !== "boolean")
+					throw new TypeError("\"config.geographic\" can only be false or a Boolean");
+				if (this.minXAccessor !== null)
+					throw new Error("\"config.geographic\" is not supported in rectangle mode");
+				if (config.metric && config.metric !== "haversine" 
+				    && config.metric !== metrics.haversine)
+				{
+					throw new Error("\"config.metric\" cannot be given with \"config.geographic\"");
+				}
+				this.geographic = config.geographic;
+				this.metric = metrics.haversine;
+			}
+			
+			if (config.metric && !this.geographic)
+			{
+				if (typeof config.metric === "string")
+				{
+					if (!metrics.hasOwnProperty(config.metric))
+						throw new Error("Unknown metric \"" + config.metric + "\"");
+					this.metric = metrics[config.metric];
+				}
+				else if (typeof config.metric.distance === "function" 
+				         && typeof config.metric.boxDistance === "function")
+				{
+					this.metric = config.metric;
+				}
+				else
+				{
+					throw new TypeError("\"config.metric\" can only be false, a String or an Object "
+						+ "with distance and boxDistance Functions");
+				}
+			}
+				
+			if (config.typedArrays)
+			{
+				if (typeof config.typedArrays !== "boolean")
+					throw new TypeError("\"config.typedArrays\" can only be false or a Boolean");
+				if (this.minXAccessor !== null)
+					throw new Error("\"config.typedArrays\" is not supported in rectangle mode");
+				createStore.call(this, 16);
+			}
 				
-			if (config.points)
+			if (config.points && this.store === null)
 			{
 				var points = config.points;
 				if (Object.prototype.toString.call(points) !== "[object Array]")
@@ -127,13 +250,105 @@ Craxic.QuadTree = function()
 					throw new TypeError("\"config.points\" can only be false or an instance of Array");
 				}
 				
-				points.forEach(function (p) {
-					this.add(p);
-				});
+				if (this.autoExpand || this.minXAccessor !== null)
+				{
+					points.forEach(function (p) {
+						this.add(p);
+					}, this);
+				}
+				else
+				{
+					bulkLoad.call(this, points);
+				}
 			}
 		}
 	}
 	
+	/**
+	* The mean radius of the earth in meters, used by the haversine metric.
+	* 
+	* @property EARTH_RADIUS
+	* @type {Number}
+	* @private
+	*/
+	var EARTH_RADIUS = 6371008.8;
+	
+	/**
+	* The built in distance metrics, by name.
+	* 
+	* @property metrics
+	* @type {Object}
+	* @private
+	*/
+	var metrics = {
+		euclidean: {
+			distance: function (x1, y1, x2, y2)
+			{
+				return Math.sqrt(squareDistance(x1, y1, x2, y2));
+			},
+			boxDistance: function (x, y, minX, minY, maxX, maxY)
+			{
+				var dx = Math.max(minX - x, 0, x - maxX),
+				    dy = Math.max(minY - y, 0, y - maxY);
+				
+				return Math.sqrt(dx * dx + dy * dy);
+			}
+		},
+		manhattan: {
+			distance: function (x1, y1, x2, y2)
+			{
+				return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+			},
+			boxDistance: function (x, y, minX, minY, maxX, maxY)
+			{
+				return Math.max(minX - x, 0, x - maxX) + Math.max(minY - y, 0, y - maxY);
+			}
+		},
+		chebyshev: {
+			distance: function (x1, y1, x2, y2)
+			{
+				return Math.max(Math.abs(x1 - x2), Math.abs(y1 - y2));
+			},
+			boxDistance: function (x, y, minX, minY, maxX, maxY)
+			{
+				return Math.max(minX - x, 0, x - maxX, minY - y, y - maxY);
+			}
+		},
+		haversine: {
+			distance: function (x1, y1, x2, y2)
+			{
+				return greatCircleDistance(haversineTerms(x1 - x2, y1, y2));
+			},
+			boxDistance: function (x, y, minX, minY, maxX, maxY)
+			{
+				// Longitudes are periodic, so bring x into the range the QuadTree covers
+				x = ((x + 180) % 360 + 360) % 360 - 180;
+				
+				if (x >= minX && x <= maxX)
+				{
+					// Straight north or south of the box, so the closest point is on a meridian
+					if (y < minY)
+						return greatCircleDistance(haversine(minY - y));
+					if (y > maxY)
+						return greatCircleDistance(haversine(y - maxY));
+					return 0;
+				}
+				
+				// East or west of the box, so the closest point is on the nearer of its two side
+				// meridians. Find where the great circle from P meets that meridian at a right 
+				// angle and clamp it to the box.
+				var dx = haversine(x - minX) < haversine(x - maxX) ? x - minX : x - maxX,
+				    closestY = perpendicularLatitude(dx, y);
+				
+				if (closestY > minY && closestY < maxY)
+					return greatCircleDistance(haversineTerms(dx, y, closestY));
+				
+				return greatCircleDistance(Math.min(haversineTerms(dx, y, minY), 
+				                                    haversineTerms(dx, y, maxY)));
+			}
+		}
+	};
+	
 	// Member variables
 	
 	/**
@@ -190,6 +405,19 @@ Craxic.QuadTree = function()
 	*/
 	QuadTree.prototype.points = [];
 	
+	/**
+	* In rectangle mode, the rectangles that straddle the split of this node and so do not fit in
+	* any one of its subtrees. Only used by nodes that are not leaf nodes.
+	* In a loose QuadTree, these are the rectangles that stick out of the enlarged bounds of the 
+	* subtree holding their centre.
+	* 
+	* @property straddling
+	* @type {Array}
+	* @default null
+	* @private
+	*/
+	QuadTree.prototype.straddling = null;
+	
 	/**
 	* The left most point of space that the QuadTree considers.
 	* No point can be any further left than this or an error will occur.
@@ -249,6 +477,56 @@ Craxic.QuadTree = function()
 	*/
 	QuadTree.prototype.yAccessor = function (p) { return p.y; };
 	
+	/**
+	* In rectangle mode, this function retrieves the left edge of an object. 
+	* Null if the QuadTree holds points.
+	* 
+	* @property minXAccessor
+	* @type {Function}
+	* @default null
+	*/
+	QuadTree.prototype.minXAccessor = null;
+	
+	/**
+	* In rectangle mode, this function retrieves the top edge of an object.
+	* Null if the QuadTree holds points.
+	* 
+	* @property minYAccessor
+	* @type {Function}
+	* @default null
+	*/
+	QuadTree.prototype.minYAccessor = null;
+	
+	/**
+	* In rectangle mode, this function retrieves the right edge of an object.
+	* Null if the QuadTree holds points.
+	* 
+	* @property maxXAccessor
+	* @type {Function}
+	* @default null
+	*/
+	QuadTree.prototype.maxXAccessor = null;
+	
+	/**
+	* In rectangle mode, this function retrieves the bottom edge of an object.
+	* Null if the QuadTree holds points.
+	* 
+	* @property maxYAccessor
+	* @type {Function}
+	* @default null
+	*/
+	QuadTree.prototype.maxYAccessor = null;
+	
+	/**
+	* The factor that the bounds of each node are enlarged by in a loose QuadTree.
+	* 1 means the QuadTree is not loose.
+	* 
+	* @property looseness
+	* @type {Number}
+	* @default 1
+	*/
+	QuadTree.prototype.looseness = 1;
+	
 	/**
 	* The maximum number of points in a leaf node
 	* 
@@ -288,429 +566,3723 @@ Craxic.QuadTree = function()
 	*/
 	QuadTree.prototype.maxDepth = 16;
 	
+	/**
+	* If true, the QuadTree grows to fit points added outside of its bounds.
+	* Only the root node ever expands.
+	* 
+	* @property autoExpand
+	* @type {Boolean}
+	* @default false
+	*/
+	QuadTree.prototype.autoExpand = false;
+	
+	/**
+	* The distance metric used by nearest point, k nearest and radius queries.
+	* 
+	* @property metric
+	* @type {Object}
+	* @default The euclidean metric
+	*/
+	QuadTree.prototype.metric = metrics.euclidean;
+	
+	/**
+	* If true, positions are longitudes and latitudes and distances are great circle distances
+	* in meters.
+	* 
+	* @property geographic
+	* @type {Boolean}
+	* @default false
+	*/
+	QuadTree.prototype.geographic = false;
+	
+	/**
+	* With typed array storage, the columns holding the positions and ids of the points. Only the 
+	* root node has this; the points of its subtrees are row numbers in these columns.
+	* 
+	* @property store
+	* @type {Object}
+	* @default null
+	* @private
+	*/
+	QuadTree.prototype.store = null;
+	
+	/**
+	* The event handlers registered with {{#crossLink "QuadTree/on:method"}}{{/crossLink}}, by 
+	* event name. Shared by every node of the QuadTree, and null while there are none so that 
+	* nothing is spent on events nobody listens to.
+	* 
+	* @property listeners
+	* @type {Object}
+	* @default null
+	* @private
+	*/
+	QuadTree.prototype.listeners = null;
+	
 	//Private functions
 	
 	/**
-	* This function places a point in the correct subtree.
+	* This function finds the subtree that a position belongs in.
 	* 
-	* @method distributePoint
-	* @param {Object} A point object to place in one of the subtrees.
+	* @method childAt
+	* @param {Number} x The x position.
+	* @param {Number} y The y position.
+	* @return {QuadTree} The subtree covering (x, y).
 	* @private
 	*/
-	function distributePoint(point)
+	function childAt(x, y)
 	{
-		var pointX = this.xAccessor(point),
-		    pointY = this.yAccessor(point);
-		
-		if (!this.contains(pointX, pointY))
-		{
-			throw new Error("Point is out of bounds of the QuadTree");
-		}
-			
-		if (pointX < this.topLeft.maxX)
+		if (x < this.topLeft.maxX)
 		{
-			if (pointY < this.topLeft.maxY)
-			{
-				this.topLeft.add(point);
-			}
-			else
-			{
-				this.bottomLeft.add(point);
-			}
+			return y < this.topLeft.maxY ? this.topLeft : this.bottomLeft;
 		}
 		else
 		{
-			if (pointY < this.topLeft.maxY)
-			{
-				this.topRight.add(point);
-			}
-			else
-			{
-				this.bottomRight.add(point);
-			}
+			return y < this.topLeft.maxY ? this.topRight : this.bottomRight;
 		}
 	}
 
 	/**
-	* This function decides if the QuadTree should be sub-divided.
-	*
-	* Even if the quadtree has more points in a leaf node than the upperThreshold,
-	* there is no point subdividing if all the nodes will then fall within
+	* This function throws if the QuadTree is in rectangle mode.
 	* 
-	* @method shouldSubdivide
+	* @method requirePointMode
+	* @param {String} name The name of the method that only works on points.
 	* @private
-	* @return {Boolean} If a subdivision should be performed.
 	*/
-	function shouldSubdivide()
+	function requirePointMode(name)
 	{
-		if (this.points.length <= this.upperThreshold)
-			return false; //No point subdividing if we don't have enough points
-			
-		if (this.minX === this.maxX && this.minY === this.maxY)
+		if (this.minXAccessor !== null)
 		{
-			//No point subdividing if we are just one point.
-			return false;
+			throw new Error(name + " is not supported in rectangle mode");
 		}
-		
-		if (this.maxDepth <= 1)
+	}
+	
+	/**
+	* This function throws if the QuadTree stores its points in typed arrays.
+	* 
+	* @method requireObjects
+	* @param {String} name The name of the feature that needs point objects.
+	* @private
+	*/
+	function requireObjects(name)
+	{
+		if (this.store !== null)
 		{
-			//Cant subdivide if this must be a leaf node!
-			return false;
+			throw new Error(name + " is not supported with typed array storage");
 		}
+	}
+	
+	/**
+	* This function sets up typed array storage, with the accessors reading from the columns.
+	* 
+	* @method createStore
+	* @param {Number} capacity The number of rows to make room for.
+	* @private
+	*/
+	function createStore(capacity)
+	{
+		var store = this.store = {
+			xs: new Float64Array(capacity),
+			ys: new Float64Array(capacity),
+			ids: new Uint32Array(capacity),
+			length: 0,
+			free: [],
+			rows: {}
+		};
 		
-		return true;
+		this.xAccessor = function (row) { return store.xs[row]; };
+		this.yAccessor = function (row) { return store.ys[row]; };
 	}
-
+	
 	/**
-	* This function splits a leaf node into 4 subtrees.
+	* This function converts row numbers into the ids of the points in those rows. Without typed
+	* array storage, the points are given back unchanged.
 	* 
-	* @method subdivide
+	* @method toIds
+	* @param {Array} points The row numbers.
+	* @return {Array} The ids.
 	* @private
 	*/
-	function subdivide()
+	function toIds(points)
 	{
-		if (this.points === null)
+		var ids = this.store === null ? null : this.store.ids;
+		
+		if (ids === null)
+			return points;
+		
+		return points.map(function (row) { return ids[row]; });
+	}
+	
+	/**
+	* This function gets the bounds of an object. A point is treated as a rectangle with no area.
+	* 
+	* @method boundsOf
+	* @param {Object} object The point or rectangle object.
+	* @return {Object} The minX, minY, maxX and maxY of the object.
+	* @private
+	*/
+	function boundsOf(object)
+	{
+		if (this.minXAccessor !== null)
 		{
-			throw new Error("Cannot subdivide a QuadTree that is not a leaf node");
+			return {
+				minX: this.minXAccessor(object),
+				minY: this.minYAccessor(object),
+				maxX: this.maxXAccessor(object),
+				maxY: this.maxYAccessor(object)
+			};
 		}
 		
-		var myself = this;
+		var x = this.xAccessor(object),
+		    y = this.yAccessor(object);
 		
-		var maxX = this.maxX,
-			minX = this.minX,
-		    maxY = this.maxY,
-			minY = this.minY;
-			
-		var midX = (minX + maxX) / 2;
-		var midY = (minY + maxY) / 2;
+		return { minX: x, minY: y, maxX: x, maxY: y };
+	}
+	
+	/**
+	* This function gets the region that the objects held by this node may occupy. This is just
+	* the bounds of the node, unless it is a loose QuadTree, where the bounds are enlarged by the
+	* looseness factor.
+	* 
+	* @method extentOf
+	* @return {Object} The minX, minY, maxX and maxY of the region.
+	* @private
+	*/
+	function extentOf()
+	{
+		var marginX = (this.maxX - this.minX) * (this.looseness - 1) / 2,
+		    marginY = (this.maxY - this.minY) * (this.looseness - 1) / 2;
 		
-		var config = {
-			xAccessor: this.xAccessor, 
-			yAccessor: this.yAccessor,
-			upperThreshold: this.upperThreshold,
-			lowerThreshold: this.lowerThreshold,
-			maxDepth: this.maxDepth - 1,
+		return {
+			minX: this.minX - marginX,
+			minY: this.minY - marginY,
+			maxX: this.maxX + marginX,
+			maxY: this.maxY + marginY
 		};
-		
-		//Make the new nodes
-		this.topLeft = new QuadTree(minX, minY, midX, midY, config);
-		this.topRight = new QuadTree(midX, minY, maxX, midY, config);
-		this.bottomLeft = new QuadTree(minX, midY, midX, maxY, config);
-		this.bottomRight = new QuadTree(midX, midY, maxX, maxY, config);
-
-		//Add all the points
-		this.points.forEach(function (point)
+	}
+	
+	/**
+	* This function checks if an object with the given bounds can be held by this node. 
+	* Points must be inside the node, while rectangles must lie entirely within its extent, edges
+	* included.
+	* 
+	* @method canHold
+	* @param {Object} bounds The bounds of the object, as returned by boundsOf.
+	* @return {Boolean} True if the object can be held.
+	* @private
+	*/
+	function canHold(bounds)
+	{
+		if (this.minXAccessor === null)
 		{
-			distributePoint.call(myself, point);
-		});
+			return this.contains(bounds.minX, bounds.minY);
+		}
 		
-		//We are no longer a leaf node, clear the points out.
-		this.points = null;
+		var extent = extentOf.call(this);
+		
+		return bounds.minX >= extent.minX
+		    && bounds.minY >= extent.minY
+			&& bounds.maxX <= extent.maxX
+			&& bounds.maxY <= extent.maxY;
 	}
-
+	
 	/**
-	* This function merges all the points in 4 leaf nodes. 
-	*
-	* This node must be a parent to leaf nodes only.
+	* This function finds the subtree that an object belongs in.
 	* 
-	* @method merge
+	* In rectangle mode, a rectangle belongs in the subtree it lies entirely within. In a loose 
+	* QuadTree, it instead belongs in the subtree holding its centre, as long as it fits within 
+	* that subtree's extent.
+	* 
+	* @method childHolding
+	* @param {Object} bounds The bounds of the object, as returned by boundsOf.
+	* @return {QuadTree} The subtree for the object, or null if it straddles the split.
 	* @private
 	*/
-	function merge()
+	function childHolding(bounds)
 	{
-		if (this.points !== null)
+		if (this.minXAccessor === null)
 		{
-			throw new Error("Cannot merge a QuadTree that is a leaf node");
+			return childAt.call(this, bounds.minX, bounds.minY);
 		}
 		
-		function addAllPoints(pointsArray, quadTreeNode) {
-			if (quadTreeNode.points === null)
-				throw new Error("Child node is not a leaf node");
+		if (this.looseness > 1)
+		{
+			var child = childAt.call(this, (bounds.minX + bounds.maxX) / 2, 
+			                               (bounds.minY + bounds.maxY) / 2);
 			
-			pointsArray.concat(quadTreeNode.points);
+			return canHold.call(child, bounds) ? child : null;
 		}
 		
-		this.points = [];
+		var midX = this.topLeft.maxX,
+		    midY = this.topLeft.maxY;
 		
-		addAllPoints(this.points, this.topLeft);
-		addAllPoints(this.points, this.topRight);
-		addAllPoints(this.points, this.bottomLeft);
-		addAllPoints(this.points, this.bottomRight);
+		var left = bounds.maxX < midX,
+		    right = bounds.minX >= midX,
+		    top = bounds.maxY < midY,
+		    bottom = bounds.minY >= midY;
 		
-		this.topLeft = null;
-		this.topRight = null;
-		this.bottomLeft = null;
-		this.bottomRight = null;
+		if (top)
+		{
+			return left ? this.topLeft : right ? this.topRight : null;
+		}
+		else if (bottom)
+		{
+			return left ? this.bottomLeft : right ? this.bottomRight : null;
+		}
+		
+		return null;
 	}
-	
-	// Member functions
+
+	/**
+	* This function places a point in the correct subtree.
+	* 
+	* @method distributePoint
+	* @param {Object} A point object to place in one of the subtrees.
+	* @private
+	*/
+	function distributePoint(point)
+	{
+		if (this.minXAccessor !== null)
+		{
+			var child = childHolding.call(this, boundsOf.call(this, point));
+			if (child === null)
+			{
+				this.straddling.push(point);
+			}
+			else
+			{
+				addPoint.call(child, point);
+			}
+			return;
+		}
+		
+		var pointX = this.xAccessor(point),
+		    pointY = this.yAccessor(point);
+		
+		if (!this.contains(pointX, pointY))
+		{
+			throw new Error("Point is out of bounds of the QuadTree");
+		}
+		
+		addPoint.call(childAt.call(this, pointX, pointY), point);
+	}
+
+	/**
+	* This function decides if the QuadTree should be sub-divided.
+	*
+	* Even if the quadtree has more points in a leaf node than the upperThreshold,
+	* there is no point subdividing if all the nodes will then fall within
+	* 
+	* @method shouldSubdivide
+	* @param {Number} count The number of points in this leaf node.
+	* @private
+	* @return {Boolean} If a subdivision should be performed.
+	*/
+	function shouldSubdivide(count)
+	{
+		if (count <= this.upperThreshold)
+			return false; //No point subdividing if we don't have enough points
+			
+		if (this.minX === this.maxX && this.minY === this.maxY)
+		{
+			//No point subdividing if we are just one point.
+			return false;
+		}
+		
+		if (this.maxDepth <= 1)
+		{
+			//Cant subdivide if this must be a leaf node!
+			return false;
+		}
+		
+		return true;
+	}
+
+	/**
+	* This function creates the config for the subtrees of this node.
+	* 
+	* @method childConfig
+	* @return {Object} A config object for the QuadTree constructor.
+	* @private
+	*/
+	function childConfig()
+	{
+		return {
+			xAccessor: this.xAccessor, 
+			yAccessor: this.yAccessor,
+			upperThreshold: this.upperThreshold,
+			lowerThreshold: this.lowerThreshold,
+			maxDepth: this.maxDepth - 1,
+			minXAccessor: this.minXAccessor,
+			minYAccessor: this.minYAccessor,
+			maxXAccessor: this.maxXAccessor,
+			maxYAccessor: this.maxYAccessor,
+			looseness: this.looseness,
+			metric: this.metric,
+			geographic: this.geographic
+		};
+	}
+
+	/**
+	* This function creates 4 empty subtrees.
+	* 
+	* @method createChildren
+	* @private
+	*/
+	function createChildren()
+	{
+		var maxX = this.maxX,
+			minX = this.minX,
+		    maxY = this.maxY,
+			minY = this.minY;
+			
+		var midX = (minX + maxX) / 2;
+		var midY = (minY + maxY) / 2;
+		
+		var config = childConfig.call(this);
+		
+		//Make the new nodes
+		this.topLeft = new QuadTree(minX, minY, midX, midY, config);
+		this.topRight = new QuadTree(midX, minY, maxX, midY, config);
+		this.bottomLeft = new QuadTree(minX, midY, midX, maxY, config);
+		this.bottomRight = new QuadTree(midX, midY, maxX, maxY, config);
+		
+		this.topLeft.listeners = this.topRight.listeners = this.listeners;
+		this.bottomLeft.listeners = this.bottomRight.listeners = this.listeners;
+	}
+
+	/**
+	* This function splits a leaf node into 4 subtrees.
+	* 
+	* @method subdivide
+	* @private
+	*/
+	function subdivide()
+	{
+		if (this.points === null)
+		{
+			throw new Error("Cannot subdivide a QuadTree that is not a leaf node");
+		}
+		
+		var myself = this;
+		
+		createChildren.call(this);
+		
+		if (this.minXAccessor !== null)
+		{
+			this.straddling = [];
+		}
+
+		//Add all the points
+		this.points.forEach(function (point)
+		{
+			distributePoint.call(myself, point);
+		});
+		
+		//We are no longer a leaf node, clear the points out.
+		this.points = null;
+		
+		if (this.listeners !== null)
+		{
+			emit.call(this, "split", describeNode.call(this, depthOf.call(this)));
+		}
+	}
+
+	/**
+	* This function fills an empty leaf node with many points at once. It builds the same structure
+	* as adding the points one by one would, but partitions the points top-down so that the 
+	* accessors are called only once per point.
+	* 
+	* @method bulkLoad
+	* @param {Array} points The point objects.
+	* @private
+	*/
+	function bulkLoad(points)
+	{
+		if (this.points === null || this.pointCount !== 0)
+		{
+			throw new Error("Can only bulk load into an empty leaf node");
+		}
+		
+		var count = points.length;
+		var load = {
+			points: points,
+			xs: new Float64Array(count),
+			ys: new Float64Array(count),
+			order: new Uint32Array(count),
+			scratchXs: new Float64Array(count),
+			scratchYs: new Float64Array(count),
+			scratchOrder: new Uint32Array(count)
+		};
+		
+		for (var i = 0; i < count; i++)
+		{
+			load.xs[i] = this.xAccessor(points[i]);
+			load.ys[i] = this.yAccessor(points[i]);
+			load.order[i] = i;
+		}
+		
+		bulkLoadRange.call(this, load, 0, count);
+	}
+	
+	/**
+	* This function fills an empty leaf node with a range of the points being bulk loaded.
+	* 
+	* @method bulkLoadRange
+	* @param {Object} load 
+	*        points: All of the point objects being loaded.
+	*        order:  Indices into points. The range start to end lists the points for this node,
+	*                and gets reordered so that the points for each subtree are grouped together.
+	*        xs:     The x position of each point in order.
+	*        ys:     The y position of each point in order.
+	*        Along with scratch space to reorder xs, ys and order in.
+	* @param {Number} start The first index in order for this node.
+	* @param {Number} end One past the last index in order for this node.
+	* @private
+	*/
+	function bulkLoadRange(load, start, end)
+	{
+		var xs = load.xs,
+		    ys = load.ys,
+		    order = load.order;
+		
+		this.pointCount = end - start;
+		
+		if (!shouldSubdivide.call(this, this.pointCount))
+		{
+			this.points = new Array(end - start);
+			for (var i = start; i < end; i++)
+			{
+				this.points[i - start] = load.points[order[i]];
+			}
+			return;
+		}
+		
+		createChildren.call(this);
+		
+		var midX = this.topLeft.maxX,
+		    midY = this.topLeft.maxY;
+		
+		//Count how many points go into each subtree, in the order topLeft, topRight, 
+		//bottomLeft, bottomRight
+		var counts = [0, 0, 0, 0];
+		for (var i = start; i < end; i++)
+		{
+			if (!this.contains(xs[i], ys[i]))
+			{
+				throw new Error("Point is out of bounds of the QuadTree");
+			}
+			
+			counts[(xs[i] < midX ? 0 : 1) + (ys[i] < midY ? 0 : 2)]++;
+		}
+		
+		//Group the points by subtree, keeping them in order within each group
+		var offsets = [start, 
+		               start + counts[0], 
+		               start + counts[0] + counts[1], 
+		               start + counts[0] + counts[1] + counts[2]];
+		var bounds = offsets.concat([end]);
+		
+		for (var i = start; i < end; i++)
+		{
+			var to = offsets[(xs[i] < midX ? 0 : 1) + (ys[i] < midY ? 0 : 2)]++;
+			load.scratchXs[to] = xs[i];
+			load.scratchYs[to] = ys[i];
+			load.scratchOrder[to] = order[i];
+		}
+		
+		xs.set(load.scratchXs.subarray(start, end), start);
+		ys.set(load.scratchYs.subarray(start, end), start);
+		order.set(load.scratchOrder.subarray(start, end), start);
+		
+		//We are no longer a leaf node, clear the points out.
+		this.points = null;
+		
+		bulkLoadRange.call(this.topLeft, load, bounds[0], bounds[1]);
+		bulkLoadRange.call(this.topRight, load, bounds[1], bounds[2]);
+		bulkLoadRange.call(this.bottomLeft, load, bounds[2], bounds[3]);
+		bulkLoadRange.call(this.bottomRight, load, bounds[3], bounds[4]);
+	}
+
+	/**
+	* This function gathers every point in this subtree.
+	* 
+	* @method collectPoints
+	* @param {Array} pointsArray The array to add the points to.
+	* @private
+	*/
+	function collectPoints(pointsArray)
+	{
+		if (this.points !== null)
+		{
+			pointsArray.push.apply(pointsArray, this.points);
+			return;
+		}
+		
+		collectPoints.call(this.topLeft, pointsArray);
+		collectPoints.call(this.topRight, pointsArray);
+		collectPoints.call(this.bottomLeft, pointsArray);
+		collectPoints.call(this.bottomRight, pointsArray);
+		
+		if (this.straddling !== null)
+		{
+			pointsArray.push.apply(pointsArray, this.straddling);
+		}
+	}
+
+	/**
+	* This function merges all the points in the subtrees into this node, making it a leaf node.
+	* 
+	* @method merge
+	* @private
+	*/
+	function merge()
+	{
+		if (this.points !== null)
+		{
+			throw new Error("Cannot merge a QuadTree that is a leaf node");
+		}
+		
+		var points = [];
+		collectPoints.call(this, points);
+		this.points = points;
+		
+		this.topLeft = null;
+		this.topRight = null;
+		this.bottomLeft = null;
+		this.bottomRight = null;
+		this.straddling = null;
+		
+		if (this.listeners !== null)
+		{
+			emit.call(this, "merge", describeNode.call(this, depthOf.call(this)));
+		}
+	}
+	
+	/**
+	* This function doubles the size of the root node towards a position outside of it. If this
+	* node has subtrees, they are moved into a new node that becomes one of the four quadrants.
+	* 
+	* The maximum depth grows by one as well, so the smallest possible node stays the same size.
+	* 
+	* @method expand
+	* @param {Number} x The x position to grow towards.
+	* @param {Number} y The y position to grow towards.
+	* @private
+	*/
+	function expand(x, y)
+	{
+		var width = this.maxX - this.minX,
+		    height = this.maxY - this.minY;
+		
+		if (!(width > 0 && height > 0 && isFinite(width) && isFinite(height)))
+		{
+			throw new Error("Cannot expand a QuadTree with no area");
+		}
+		
+		var growLeft = x < this.minX,
+		    growUp = y < this.minY;
+		
+		var minX = growLeft ? this.minX - width : this.minX,
+		    minY = growUp ? this.minY - height : this.minY,
+		    maxX = growLeft ? this.maxX : this.maxX + width,
+		    maxY = growUp ? this.maxY : this.maxY + height;
+		
+		if (this.points === null)
+		{
+			//Move our subtrees into a node covering our old bounds
+			var config = childConfig.call(this);
+			config.maxDepth = this.maxDepth;
+			
+			var old = new QuadTree(this.minX, this.minY, this.maxX, this.maxY, config);
+			old.points = null;
+			old.pointCount = this.pointCount;
+			old.topLeft = this.topLeft;
+			old.topRight = this.topRight;
+			old.bottomLeft = this.bottomLeft;
+			old.bottomRight = this.bottomRight;
+			old.straddling = this.straddling;
+			
+			if (this.straddling !== null)
+			{
+				this.straddling = [];
+			}
+			
+			var midX = growLeft ? this.minX : this.maxX,
+			    midY = growUp ? this.minY : this.maxY;
+			
+			this.topLeft = growLeft || growUp ? new QuadTree(minX, minY, midX, midY, config) : old;
+			this.topRight = !growLeft || growUp ? new QuadTree(midX, minY, maxX, midY, config) : old;
+			this.bottomLeft = growLeft || !growUp ? new QuadTree(minX, midY, midX, maxY, config) : old;
+			this.bottomRight = !growLeft || !growUp ? new QuadTree(midX, midY, maxX, maxY, config) : old;
+			
+			this.topLeft.listeners = this.topRight.listeners = this.listeners;
+			this.bottomLeft.listeners = this.bottomRight.listeners = this.listeners;
+			
+			if (this.straddling !== null)
+			{
+				//Rectangles on the far edges of our old bounds, or sticking out of them, may not
+				//belong in the old node any more now that it is no longer the root
+				var rectangles = [];
+				collectPoints.call(old, rectangles);
+				
+				rectangles.forEach(function (rectangle)
+				{
+					if (childHolding.call(this, boundsOf.call(this, rectangle)) !== old)
+					{
+						removeAt.call(old, rectangle, boundsOf.call(this, rectangle));
+						distributePoint.call(this, rectangle);
+					}
+				}, this);
+			}
+		}
+		
+		this.minX = minX;
+		this.minY = minY;
+		this.maxX = maxX;
+		this.maxY = maxY;
+		this.maxDepth++;
+		
+		if (this.points === null && this.listeners !== null)
+		{
+			//The node now holding our old subtrees is a new branch, so it will be merged someday
+			emit.call(old, "split", describeNode.call(old, depthOf.call(old)));
+		}
+	}
+	
+	// Member functions
 
 	/**
 	* Adds a point to the QuadTree
 	* 
-	* @method add
-	* @param {Object} point The point to add to the QuadTree
+	* @method add
+	* @param {Object|Number} point 
+	*        The point to add to the QuadTree. With typed array storage, the id of the point.
+	* @param {Number} [x] With typed array storage, the x position of the point.
+	* @param {Number} [y] With typed array storage, the y position of the point.
+	*/
+	QuadTree.prototype.add = function (point, x, y)
+	{
+		if (this.store !== null)
+		{
+			addRow.call(this, point, x, y);
+		}
+		else
+		{
+			addPoint.call(this, point);
+		}
+		
+		if (this.listeners !== null)
+		{
+			var added = this.store !== null ? this.store.rows[point] : point;
+			emit.call(this, "add", point, describeHolder.call(this, boundsOf.call(this, added)));
+		}
+	}
+	
+	/**
+	* This function adds a point object, or a row number with typed array storage.
+	* 
+	* @method addPoint
+	* @param {Object} point The point to add.
+	* @private
+	*/
+	function addPoint(point)
+	{
+		if (this.minXAccessor !== null)
+		{
+			if (this.autoExpand)
+			{
+				var minX = this.minXAccessor(point),
+				    minY = this.minYAccessor(point),
+				    maxX = this.maxXAccessor(point),
+				    maxY = this.maxYAccessor(point);
+				
+				if (!isFinite(minX) || !isFinite(minY) || !isFinite(maxX) || !isFinite(maxY))
+				{
+					throw new Error("Cannot expand a QuadTree to fit a rectangle at infinity");
+				}
+				
+				while (!canHold.call(this, boundsOf.call(this, point)))
+				{
+					expand.call(this, minX < this.minX ? minX : maxX, minY < this.minY ? minY : maxY);
+				}
+			}
+			else if (!canHold.call(this, boundsOf.call(this, point)))
+			{
+				throw new Error("Rectangle is out of bounds of the QuadTree");
+			}
+		}
+		else if (this.autoExpand)
+		{
+			var pointX = this.xAccessor(point),
+			    pointY = this.yAccessor(point);
+			
+			if (!isFinite(pointX) || !isFinite(pointY))
+			{
+				throw new Error("Cannot expand a QuadTree to fit a point at infinity");
+			}
+			
+			while (!this.contains(pointX, pointY))
+			{
+				expand.call(this, pointX, pointY);
+			}
+		}
+		
+		//Point added.
+		this.pointCount++;
+		
+		if (this.points === null)
+		{
+			//Not a leaf node
+			distributePoint.call(this, point);
+		}
+		else
+		{
+			//Leaf node
+			this.points.push(point);
+
+			//Split up if we have too many points
+			if (shouldSubdivide.call(this, this.points.length))
+			{
+				subdivide.call(this);
+			}
+		}
+	}
+	
+	/**
+	* Removes a point from the QuadTree
+	* 
+	* @method remove
+	* @param {Object|Number} point 
+	*        The point to remove from the QuadTree. With typed array storage, the id of the point.
+	* @return {Boolean} True on success.
+	*/
+	QuadTree.prototype.remove = function (point)
+	{
+		var holder = null;
+		
+		if (this.listeners !== null)
+		{
+			var removing = this.store !== null ? this.store.rows[point] : point;
+			
+			if (removing !== undefined)
+				holder = describeHolder.call(this, boundsOf.call(this, removing));
+		}
+		
+		var removed = this.store !== null 
+			? removeRow.call(this, point) 
+			: removeAt.call(this, point, boundsOf.call(this, point));
+		
+		if (removed && holder !== null)
+		{
+			emit.call(this, "remove", point, holder);
+		}
+		
+		return removed;
+	}
+	
+	/**
+	* This function adds a point to the columns of a QuadTree with typed array storage, and then to
+	* the QuadTree itself.
+	* 
+	* @method addRow
+	* @param {Number} id The id of the point.
+	* @param {Number} x The x position of the point.
+	* @param {Number} y The y position of the point.
+	* @private
+	*/
+	function addRow(id, x, y)
+	{
+		var store = this.store;
+		
+		if (typeof id !== "number" || id !== id >>> 0)
+			throw new TypeError("id must be an integer from 0 to 4294967295");
+		if (typeof x !== "number" || typeof y !== "number")
+			throw new TypeError("x and y must be numbers");
+		if (store.rows.hasOwnProperty(id))
+			throw new Error("There is already a point with id " + id + " in the QuadTree");
+		
+		//Reuse the row of a removed point if there is one
+		var row = store.free.length > 0 ? store.free[store.free.length - 1] : store.length;
+		
+		if (row === store.xs.length)
+		{
+			var xs = new Float64Array(row * 2),
+			    ys = new Float64Array(row * 2),
+			    ids = new Uint32Array(row * 2);
+			
+			xs.set(store.xs);
+			ys.set(store.ys);
+			ids.set(store.ids);
+			
+			store.xs = xs;
+			store.ys = ys;
+			store.ids = ids;
+		}
+		
+		store.xs[row] = x;
+		store.ys[row] = y;
+		store.ids[row] = id;
+		
+		addPoint.call(this, row);
+		
+		//Only take the row once the point is safely in
+		if (row === store.length)
+			store.length++;
+		else
+			store.free.pop();
+		
+		store.rows[id] = row;
+	}
+	
+	/**
+	* This function removes a point from a QuadTree with typed array storage, freeing its row.
+	* 
+	* @method removeRow
+	* @param {Number} id The id of the point.
+	* @return {Boolean} True on success.
+	* @private
+	*/
+	function removeRow(id)
+	{
+		var store = this.store;
+		
+		if (!store.rows.hasOwnProperty(id))
+			return false;
+		
+		var row = store.rows[id];
+		
+		if (!removeAt.call(this, row, boundsOf.call(this, row)))
+			return false;
+		
+		delete store.rows[id];
+		store.free.push(row);
+		return true;
+	}
+	
+	/**
+	* This function removes a point, finding it by the bounds it was added at.
+	* 
+	* @method removeAt
+	* @param {Object} point The point object to remove.
+	* @param {Object} bounds The bounds of the point when it was added, as returned by boundsOf.
+	* @return {Boolean} True on success.
+	* @private
+	*/
+	function removeAt(point, bounds)
+	{
+		//Cannot possibly have the object if it isn't in our boundaries!
+		if (!canHold.call(this, bounds))
+		{
+			return false;
+		}
+		
+		if (this.points === null)
+		{
+			//Remove the object from the one subtree it can be in, or from the objects kept here
+			var removed,
+			    child = childHolding.call(this, bounds);
+			
+			if (child !== null)
+			{
+				removed = removeAt.call(child, point, bounds);
+			}
+			else
+			{
+				var i = this.straddling.indexOf(point);
+				removed = i >= 0;
+				
+				if (removed)
+					this.straddling.splice(i, 1);
+			}
+			
+			//Were we successful?
+			if (removed)
+			{
+				this.pointCount--;
+				
+				if (this.pointCount < this.lowerThreshold)
+				{
+					merge.call(this);
+				}
+			}
+			
+			return removed;
+		}
+		else
+		{
+			for (var i=0; i<this.points.length; i++)
+			{
+				if (this.points[i] === point)
+				{
+					this.points.splice(i,1);
+					this.pointCount--;
+					return true;
+				}
+			}
+			return false;
+		}
+	}
+	
+	// Results of relocate
+	var NOT_FOUND = 0,
+	    RELOCATED = 1,
+	    EVICTED = 2;
+	
+	/**
+	* This function finds a point by its old bounds and moves it to wherever its new bounds 
+	* belong. Nothing changes for as long as the old and new bounds lead to the same place.
+	* If the new bounds are outside of this node, the point is removed and left for the caller
+	* to place.
+	* 
+	* @method relocate
+	* @param {Object} point The point object that moved.
+	* @param {Object} oldBounds The bounds that the point was last added or moved at.
+	* @param {Object} newBounds The current bounds of the point.
+	* @return {Number} 
+	*         NOT_FOUND if the point is not in this subtree, RELOCATED if it has been moved and 
+	*         EVICTED if it has been removed because it no longer fits in this node.
+	* @private
+	*/
+	function relocate(point, oldBounds, newBounds)
+	{
+		var fits = canHold.call(this, newBounds);
+		
+		if (this.points !== null)
+		{
+			var i = this.points.indexOf(point);
+			if (i < 0)
+				return NOT_FOUND;
+			
+			//Still in this leaf, so nothing needs to change
+			if (fits)
+				return RELOCATED;
+			
+			this.points.splice(i, 1);
+			this.pointCount--;
+			return EVICTED;
+		}
+		
+		if (!canHold.call(this, oldBounds))
+			return NOT_FOUND;
+		
+		var oldChild = childHolding.call(this, oldBounds),
+		    newChild = fits ? childHolding.call(this, newBounds) : undefined;
+		
+		if (oldChild === newChild)
+		{
+			//Still in the same place as far as this node is concerned
+			if (oldChild === null)
+				return this.straddling.indexOf(point) >= 0 ? RELOCATED : NOT_FOUND;
+			
+			return relocate.call(oldChild, point, oldBounds, newBounds);
+		}
+		
+		//The point is moving elsewhere, so take it out of where it was
+		if (oldChild === null)
+		{
+			var i = this.straddling.indexOf(point);
+			if (i < 0)
+				return NOT_FOUND;
+			
+			this.straddling.splice(i, 1);
+		}
+		else if (!removeAt.call(oldChild, point, oldBounds))
+		{
+			return NOT_FOUND;
+		}
+		
+		if (!fits)
+		{
+			this.pointCount--;
+			
+			if (this.pointCount < this.lowerThreshold)
+			{
+				merge.call(this);
+			}
+			
+			return EVICTED;
+		}
+		
+		if (newChild === null)
+		{
+			this.straddling.push(point);
+		}
+		else
+		{
+			addPoint.call(newChild, point);
+		}
+		
+		return RELOCATED;
+	}
+	
+	/**
+	* Notifies the QuadTree that the position of a point has changed. This must be called every time
+	* a point in the QuadTree moves; {{#crossLink "QuadTree/remove:method"}}{{/crossLink}} will not 
+	* find a point that moved without the QuadTree being told.
+	* 
+	* Points that stay within the same node are not touched at all, so this is cheap for small 
+	* movements. In a loose QuadTree, rectangles can move quite far before this happens.
+	* 
+	* @method objectMoved
+	* @param {Object} point The point object that moved.
+	* @param {Number} oldX 
+	*        The x position of the point before it moved. In rectangle mode, the left edge.
+	* @param {Number} oldY 
+	*        The y position of the point before it moved. In rectangle mode, the top edge.
+	* @param {Number} [oldMaxX] In rectangle mode, the right edge before the rectangle moved.
+	* @param {Number} [oldMaxY] In rectangle mode, the bottom edge before the rectangle moved.
+	* @return {Boolean} True if the point was found in the QuadTree.
+	* @throws {Error} If the point moved out of bounds and autoExpand is off. The QuadTree is left 
+	*         as it was, still holding the point at its old position.
+	*/
+	QuadTree.prototype.objectMoved = function (point, oldX, oldY, oldMaxX, oldMaxY)
+	{
+		requireObjects.call(this, "objectMoved");
+		
+		var oldBounds;
+		
+		if (this.minXAccessor !== null)
+		{
+			if (typeof oldX !== "number" || typeof oldY !== "number"
+			    || typeof oldMaxX !== "number" || typeof oldMaxY !== "number")
+			{
+				throw new TypeError("oldX, oldY, oldMaxX and oldMaxY must be numbers");
+			}
+			
+			oldBounds = { minX: oldX, minY: oldY, maxX: oldMaxX, maxY: oldMaxY };
+		}
+		else
+		{
+			if (typeof oldX !== "number" || typeof oldY !== "number")
+				throw new TypeError("oldX and oldY must be numbers");
+			
+			oldBounds = { minX: oldX, minY: oldY, maxX: oldX, maxY: oldY };
+		}
+		
+		var newBounds = boundsOf.call(this, point);
+		
+		//Check before anything is taken out, so a bad move leaves the QuadTree as it was
+		if (!canHold.call(this, newBounds))
+		{
+			if (!this.autoExpand)
+			{
+				throw new Error(this.minXAccessor !== null
+					? "Rectangle is out of bounds of the QuadTree"
+					: "Point is out of bounds of the QuadTree");
+			}
+			
+			if (!isFinite(newBounds.minX) || !isFinite(newBounds.minY)
+			    || !isFinite(newBounds.maxX) || !isFinite(newBounds.maxY))
+			{
+				throw new Error(this.minXAccessor !== null
+					? "Cannot expand a QuadTree to fit a rectangle at infinity"
+					: "Cannot expand a QuadTree to fit a point at infinity");
+			}
+		}
+		
+		var result = relocate.call(this, point, oldBounds, newBounds);
+		
+		if (result === NOT_FOUND)
+			return false;
+		
+		if (result === EVICTED)
+		{
+			//Moved out of our bounds entirely, treat it like any other new point
+			addPoint.call(this, point);
+		}
+		
+		if (this.listeners !== null)
+		{
+			emit.call(this, "move", point, describeHolder.call(this, boundsOf.call(this, point)));
+		}
+		
+		return true;
+	}
+	
+	function squareDistance(x1, y1, x2, y2)
+	{
+		var dx = x1 - x2, 
+		    dy = y1 - y2;
+			
+		return dx * dx + dy * dy;
+	}
+	
+	/**
+	* Calculates the haversine of an angle.
+	* 
+	* @method haversine
+	* @param {Number} degrees The angle in degrees.
+	* @return {Number} The haversine, sin^2(angle / 2).
+	* @private
+	*/
+	function haversine(degrees)
+	{
+		var s = Math.sin(degrees * Math.PI / 360);
+		return s * s;
+	}
+	
+	/**
+	* Calculates the haversine of the central angle between two positions on the earth.
+	* 
+	* @method haversineTerms
+	* @param {Number} dx The difference in longitude, in degrees.
+	* @param {Number} y1 The latitude of the first position, in degrees.
+	* @param {Number} y2 The latitude of the second position, in degrees.
+	* @return {Number} The haversine of the central angle.
+	* @private
+	*/
+	function haversineTerms(dx, y1, y2)
+	{
+		return haversine(y1 - y2) 
+		     + Math.cos(y1 * Math.PI / 180) * Math.cos(y2 * Math.PI / 180) * haversine(dx);
+	}
+	
+	/**
+	* Converts the haversine of a central angle into a distance along the surface of the earth.
+	* 
+	* @method greatCircleDistance
+	* @param {Number} h The haversine of the central angle.
+	* @return {Number} The distance in meters.
+	* @private
+	*/
+	function greatCircleDistance(h)
+	{
+		return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(Math.min(h, 1)));
+	}
+	
+	/**
+	* Finds the latitude where a meridian is closest to a position, which is where the great circle
+	* through the position meets the meridian at a right angle.
+	* 
+	* @method perpendicularLatitude
+	* @param {Number} dx The difference in longitude between the position and the meridian.
+	* @param {Number} y The latitude of the position, in degrees.
+	* @return {Number} The latitude in degrees.
+	* @private
+	*/
+	function perpendicularLatitude(dx, y)
+	{
+		var cosDx = Math.cos(dx * Math.PI / 180);
+		
+		// More than 90 degrees away, the closest point is over the nearest pole
+		if (cosDx <= 0)
+			return y > 0 ? 90 : -90;
+		
+		return Math.atan(Math.tan(y * Math.PI / 180) / cosDx) * 180 / Math.PI;
+	}
+	
+	/**
+	* Calculates the square of the distance between two positions, as measured by the metric of 
+	* this QuadTree.
+	* 
+	* @method metricSquareDistance
+	* @param {Number} x1 The x position of the first position.
+	* @param {Number} y1 The y position of the first position.
+	* @param {Number} x2 The x position of the second position.
+	* @param {Number} y2 The y position of the second position.
+	* @return {Number} The square distance.
+	* @private
+	*/
+	function metricSquareDistance(x1, y1, x2, y2)
+	{
+		if (this.metric === metrics.euclidean)
+		{
+			return squareDistance(x1, y1, x2, y2);
+		}
+		
+		var distance = this.metric.distance(x1, y1, x2, y2);
+		return distance * distance;
+	}
+	
+	/**
+	* Calculates the square distance from a position to the closest point of a QuadTree node's box,
+	* as measured by the metric of that node.
+	* 
+	* @method boxSquareDistance
+	* @param {Number} x The x position.
+	* @param {Number} y The y position.
+	* @param {QuadTree} quadTreeNode The node.
+	* @return {Number} The square distance, which is 0 if the position is inside the node.
+	* @private
+	*/
+	function boxSquareDistance(x, y, quadTreeNode)
+	{
+		if (quadTreeNode.metric === metrics.euclidean)
+		{
+			var closestX = Math.max(quadTreeNode.minX, Math.min(x, quadTreeNode.maxX)),
+			    closestY = Math.max(quadTreeNode.minY, Math.min(y, quadTreeNode.maxY));
+			
+			return squareDistance(x, y, closestX, closestY);
+		}
+		
+		var distance = quadTreeNode.metric.boxDistance(x, y, quadTreeNode.minX, quadTreeNode.minY,
+		                                               quadTreeNode.maxX, quadTreeNode.maxY);
+		return distance * distance;
+	}
+	
+	/**
+	* Calculates a lower bound on the square distance between any position in one QuadTree node's
+	* box and any position in another's, as measured by the metric of the first node. The bound 
+	* is the distance across the gaps between the boxes along each axis, which is only a lower 
+	* bound for metrics that grow with those gaps. That holds for all the built in metrics except
+	* haversine, where the bound is always 0, whether or not the QuadTree is geographic.
+	* 
+	* @method nodeSquareDistance
+	* @param {QuadTree} first The first node.
+	* @param {QuadTree} second The second node.
+	* @return {Number} The square distance, which is 0 if the boxes touch or overlap.
+	* @private
+	*/
+	function nodeSquareDistance(first, second)
+	{
+		if (first.metric === metrics.haversine)
+		{
+			// Degrees apart says little about meters apart, especially across the antimeridian
+			return 0;
+		}
+		
+		var gapX = Math.max(first.minX - second.maxX, 0, second.minX - first.maxX),
+		    gapY = Math.max(first.minY - second.maxY, 0, second.minY - first.maxY);
+		
+		return metricSquareDistance.call(first, 0, 0, gapX, gapY);
+	}
+	
+	/**
+	* Calculates an upper bound on the square distance from a position to any position in a 
+	* QuadTree node's box, as measured by the metric of that node. Like nodeSquareDistance, this
+	* relies on the metric growing with the distance along each axis, so is not used with haversine,
+	* whether or not the QuadTree is geographic.
+	* 
+	* @method boxFarSquareDistance
+	* @param {Number} x The x position.
+	* @param {Number} y The y position.
+	* @param {QuadTree} quadTreeNode The node.
+	* @return {Number} The square distance to the far corner of the node.
+	* @private
+	*/
+	function boxFarSquareDistance(x, y, quadTreeNode)
+	{
+		var farX = Math.max(Math.abs(x - quadTreeNode.minX), Math.abs(x - quadTreeNode.maxX)),
+		    farY = Math.max(Math.abs(y - quadTreeNode.minY), Math.abs(y - quadTreeNode.maxY));
+		
+		return metricSquareDistance.call(quadTreeNode, 0, 0, farX, farY);
+	}
+	
+	/**
+	* A binary heap of search candidates. The candidate that compares lowest is kept on top.
+	* 
+	* @method BinaryHeap
+	* @param {Function} compare 
+	*        Function that accepts two candidates and returns a negative number if the first one 
+	*        belongs above the second.
+	* @private
+	*/
+	function BinaryHeap(compare)
+	{
+		this.compare = compare;
+		this.items = [];
+	}
+	
+	// Number of candidates in the heap
+	BinaryHeap.prototype.size = function ()
+	{
+		return this.items.length;
+	}
+	
+	// The top candidate, or undefined if the heap is empty
+	BinaryHeap.prototype.peek = function ()
+	{
+		return this.items[0];
+	}
+	
+	BinaryHeap.prototype.push = function (item)
+	{
+		var items = this.items,
+		    i = items.length;
+		
+		items.push(item);
+		
+		// Sift up
+		while (i > 0)
+		{
+			var parent = (i - 1) >> 1;
+			if (this.compare(items[i], items[parent]) >= 0)
+				break;
+			
+			items[i] = items[parent];
+			items[parent] = item;
+			i = parent;
+		}
+	}
+	
+	// Removes and returns the top candidate
+	BinaryHeap.prototype.pop = function ()
+	{
+		var items = this.items,
+		    top = items[0],
+		    last = items.pop();
+		
+		if (items.length === 0)
+			return top;
+		
+		items[0] = last;
+		
+		// Sift down
+		var i = 0;
+		for (;;)
+		{
+			var left = 2 * i + 1,
+			    right = left + 1,
+			    best = i;
+			
+			if (left < items.length && this.compare(items[left], items[best]) < 0)
+				best = left;
+			if (right < items.length && this.compare(items[right], items[best]) < 0)
+				best = right;
+			if (best === i)
+				break;
+			
+			items[i] = items[best];
+			items[best] = last;
+			i = best;
+		}
+		
+		return top;
+	}
+	
+	/**
+	* Walks the QuadTree looking for points close to an arbitrary point P. Subtrees are visited in 
+	* order of how close they are to P, and subtrees that cannot hold anything closer than 
+	* search.sqDistance are skipped.
+	* 
+	* @method nearestSearch
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Object} search
+	*        sqDistance: Square distance beyond which points are of no interest. Kept up to date by
+	*                    visit as better points are found.
+	*        hits:       Incremented by the number of points examined.
+	*        leaves:     Optional array that the searched leaf nodes are added to.
+	*        visit:      Function called on search for each examined point, with the point and its
+	*                    square distance to P.
+	* @private
+	*/
+	function nearestSearch(x, y, search)
+	{
+		if (this.points !== null)
+		{
+			// Leaf node! Search my points!
+			if (search.leaves !== undefined)
+				search.leaves.push(this);
+			
+			// No points case
+			if (this.points.length == 0)
+			{
+				return; // Nothing in this subtree, result does not change
+			}
+
+			// 1 or more points...
+			for (var i = 0; i < this.points.length; i++)
+			{
+				var pointX = this.xAccessor(this.points[i]),
+				    pointY = this.yAccessor(this.points[i]);
+				
+				search.visit(this.points[i], metricSquareDistance.call(this, x, y, pointX, pointY));
+			}
+			
+			search.hits += this.points.length;
+		}
+		else
+		{
+			var midX = (this.minX + this.maxX) / 2;
+			var midY = (this.minY + this.maxY) / 2;
+
+			if (y < midY)
+			{
+				if (x < midX)
+				{
+					//Try Top-Left
+					nearestSearch.call(this.topLeft, x, y, search);
+
+					//Do we go into the topRight box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.topRight))
+						nearestSearch.call(this.topRight, x, y, search);
+
+					//Do we go into the bottomLeft box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.bottomLeft))
+						nearestSearch.call(this.bottomLeft, x, y, search);
+
+					//Otherwise, do we go into the bottomRight?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.bottomRight))
+						nearestSearch.call(this.bottomRight, x, y, search);
+				}
+				else
+				{
+					//Try Top-Right
+					nearestSearch.call(this.topRight, x, y, search);
+					
+					//Do we go into the topLeft box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.topLeft))
+						nearestSearch.call(this.topLeft, x, y, search);
+
+					//Do we go into the bottomRight box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.bottomRight))
+						nearestSearch.call(this.bottomRight, x, y, search);
+
+					//Otherwise, do we go into the bottomLeft?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.bottomLeft))
+						nearestSearch.call(this.bottomLeft, x, y, search);
+				}
+			}
+			else
+			{
+				if (x < midX)
+				{
+					//Try Bottom-Left
+					nearestSearch.call(this.bottomLeft, x, y, search);
+
+					//Do we go into the bottomRight box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.bottomRight))
+						nearestSearch.call(this.bottomRight, x, y, search);
+
+					//Do we go into the topLeft box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.topLeft))
+						nearestSearch.call(this.topLeft, x, y, search);
+
+					//Otherwise, do we go into the topRight?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.topRight))
+						nearestSearch.call(this.topRight, x, y, search);
+				}
+				else
+				{
+					//Try Bottom-Right
+					nearestSearch.call(this.bottomRight, x, y, search);
+
+					//Do we go into the bottomLeft box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.bottomLeft))
+						nearestSearch.call(this.bottomLeft, x, y, search);
+
+					//Do we go into the topRight box?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.topRight))
+						nearestSearch.call(this.topRight, x, y, search);
+
+					//Otherwise, do we go into the topLeft?
+					if (search.sqDistance >= boxSquareDistance(x, y, this.topLeft))
+						nearestSearch.call(this.topLeft, x, y, search);
+				}
+			}
+		}
+	}
+	
+	/**
+	* Finds the nearest points to an arbitrary point P that satisfy a predicate.
+	* 
+	* @method nearestPrivate
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} [maxDistance] If given, only points at most this far away are considered.
+	* @param {Function} [predicate] If given, only points it returns true for are considered.
+	* @param {Array} [leaves] If given, the leaf nodes searched are added to it.
+	* @return {Object} See {{#crossLink "QuadTree/nearestPoint:method"}}{{/crossLink}}
+	* @private
+	*/
+	function nearestPrivate(x, y, maxDistance, predicate, leaves)
+	{
+		requirePointMode.call(this, "Nearest point searching");
+		
+		var sqMaxDistance = Number.MAX_VALUE,
+		    store = this.store;
+		
+		if (predicate && store !== null)
+		{
+			// The predicate is about ids, not rows
+			var test = predicate;
+			predicate = function (row) { return test(store.ids[row]); };
+		}
+		
+		if (maxDistance !== undefined)
+		{
+			if (typeof maxDistance !== "number")
+				throw new TypeError("maxDistance can only be undefined or a Number");
+			
+			if (maxDistance < 0)
+			{
+				// Nothing is closer than a negative distance, just like with queryRadius
+				return { sqDistance: Number.MAX_VALUE, points: [], hits: 0 };
+			}
+			
+			sqMaxDistance = maxDistance * maxDistance;
+		}
+		
+		var search = {
+			sqDistance: sqMaxDistance,
+			points: [],
+			hits: 0,
+			leaves: leaves,
+			visit: function (point, sd)
+			{
+				// Only ask the predicate about points that would make the cut
+				if (sd > this.sqDistance || (predicate && !predicate(point)))
+				{
+					return;
+				}
+				
+				if (sd < this.sqDistance)
+				{
+					// If the distance to this point is less than the current best, 
+					// clear the set of closest points and add this one
+					this.points.length = 0;
+					this.points.push(point);
+
+					this.sqDistance = sd;
+				}
+				else
+				{
+					// If the distance to this point is the same as the current best, add it to 
+					// the set of closest points 
+					this.points.push(point);
+				}
+			}
+		};
+		
+		// Don't bother if the whole QuadTree is too far away
+		if (maxDistance === undefined 
+		    || this.points !== null 
+		    || boxSquareDistance(x, y, this) <= sqMaxDistance)
+		{
+			nearestSearch.call(this, x, y, search);
+		}
+		
+		return {
+			sqDistance: search.points.length > 0 ? search.sqDistance : Number.MAX_VALUE,
+			points: toIds.call(this, search.points),
+			hits: search.hits
+		};
+	}
+	
+	/**
+	* Gets the nearest points to an arbitrary point P. Distances are measured using the metric 
+	* given in the config of the QuadTree, Euclidean by default.
+	* 
+	* @method nearestPoint
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} [maxDistance]
+	*        If given, only points at most this far away from P are considered. Parts of the 
+	*        QuadTree further away than this are never searched. If negative, nothing is found.
+	* @return {Object}
+	*         sqDistance: Square distance to nearest point object(s) to P, or Number.MAX_VALUE if
+	*                     no point was found.
+	*         points:     Array of all points exactly sqDistance away from P.
+	*         hits:       Number of point objects examined during the search.
+	*/
+	QuadTree.prototype.nearestPoint = function (x, y, maxDistance)
+	{
+		return nearestPrivate.call(this, x, y, maxDistance);
+	}
+	
+	/**
+	* Gets the nearest points to an arbitrary point P out of the points that satisfy a predicate.
+	* Points that fail the predicate are skipped as if they were not in the QuadTree.
+	* 
+	* @method nearestMatching
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Function} predicate 
+	*        Function that accepts one point object argument and returns true if that point object
+	*        may be returned. It is only called for points that are at least as close to P as the 
+	*        best match found so far.
+	* @param {Number} [maxDistance]
+	*        If given, only points at most this far away from P are considered.
+	* @return {Object} See {{#crossLink "QuadTree/nearestPoint:method"}}{{/crossLink}}
+	*/
+	QuadTree.prototype.nearestMatching = function (x, y, predicate, maxDistance)
+	{
+		if (typeof predicate !== "function")
+			throw new TypeError("predicate must be a Function");
+		
+		return nearestPrivate.call(this, x, y, maxDistance, predicate);
+	}
+	
+	/**
+	* Gets the k nearest points to an arbitrary point P, using the metric of the QuadTree.
+	* 
+	* @method kNearest
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} k The maximum number of points to find.
+	* @return {Object}
+	*         points:      Array of the (up to) k point objects closest to P, closest first. Ties
+	*                      at the k-th place are broken arbitrarily.
+	*         sqDistances: Square distance from P to each of the points, in the same order.
+	*         hits:        Number of point objects examined during the search.
+	*/
+	QuadTree.prototype.kNearest = function (x, y, k)
+	{
+		requirePointMode.call(this, "kNearest");
+		
+		if (typeof k !== "number")
+			throw new TypeError("k must be a number");
+		
+		var search = kNearestSearch(k);
+		
+		if (k >= 1)
+			nearestSearch.call(this, x, y, search);
+		
+		return kNearestResult.call(this, search);
+	}
+	
+	/**
+	* Creates a search for nearestSearch that keeps the k closest points it is shown.
+	* 
+	* @method kNearestSearch
+	* @param {Number} k The maximum number of points to keep.
+	* @return {Object} The search.
+	* @private
+	*/
+	function kNearestSearch(k)
+	{
+		return {
+			sqDistance: k >= 1 ? Number.MAX_VALUE : -1,
+			hits: 0,
+			best: new BinaryHeap(function (a, b) { return b.sqDistance - a.sqDistance; }),
+			visit: function (point, sd)
+			{
+				if (this.best.size() < k)
+				{
+					this.best.push({ point: point, sqDistance: sd });
+				}
+				else if (sd < this.sqDistance)
+				{
+					// Closer than the worst of our k candidates, which gets replaced
+					this.best.pop();
+					this.best.push({ point: point, sqDistance: sd });
+				}
+				else
+				{
+					return;
+				}
+				
+				// Once we have k candidates, nothing further away than the worst of them matters
+				if (this.best.size() >= k)
+					this.sqDistance = this.best.peek().sqDistance;
+			}
+		};
+	}
+	
+	/**
+	* Turns a finished k nearest search into the result of 
+	* {{#crossLink "QuadTree/kNearest:method"}}{{/crossLink}}.
+	* 
+	* @method kNearestResult
+	* @param {Object} search A search created by kNearestSearch.
+	* @return {Object} The result.
+	* @private
+	*/
+	function kNearestResult(search)
+	{
+		// Empty the heap furthest first to get the points in order
+		var result = {
+			points: new Array(search.best.size()),
+			sqDistances: new Array(search.best.size()),
+			hits: search.hits
+		};
+		
+		for (var i = result.points.length - 1; i >= 0; i--)
+		{
+			var candidate = search.best.pop();
+			result.points[i] = candidate.point;
+			result.sqDistances[i] = candidate.sqDistance;
+		}
+		
+		result.points = toIds.call(this, result.points);
+		return result;
+	}
+
+	/**
+	* Walks the QuadTree looking for the points furthest from an arbitrary point P. Subtrees are 
+	* visited furthest first, and subtrees that cannot hold anything further away than the best 
+	* found so far are skipped.
+	* 
+	* @method farthestSearch
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Object} search
+	*        sqDistance: Square distance to the furthest points found so far.
+	*        points:     The furthest points found so far.
+	*        hits:       Incremented by the number of points examined.
+	* @private
+	*/
+	function farthestSearch(x, y, search)
+	{
+		if (this.points !== null)
+		{
+			for (var i = 0; i < this.points.length; i++)
+			{
+				var sd = metricSquareDistance.call(this, x, y, 
+					this.xAccessor(this.points[i]), this.yAccessor(this.points[i]));
+				
+				if (sd > search.sqDistance)
+				{
+					search.points.length = 0;
+					search.sqDistance = sd;
+				}
+				
+				if (sd === search.sqDistance)
+					search.points.push(this.points[i]);
+			}
+			
+			search.hits += this.points.length;
+			return;
+		}
+		
+		[this.topLeft, this.topRight, this.bottomLeft, this.bottomRight].map(function (child)
+		{
+			return { child: child, sqDistance: boxFarSquareDistance(x, y, child) };
+		}).sort(function (a, b) 
+		{ 
+			return b.sqDistance - a.sqDistance; 
+		}).forEach(function (candidate)
+		{
+			if (search.sqDistance <= candidate.sqDistance)
+				farthestSearch.call(candidate.child, x, y, search);
+		});
+	}
+	
+	/**
+	* Gets the points furthest from an arbitrary point P, using the metric of the QuadTree. See 
+	* config.metric in the constructor for what this needs from a custom metric.
+	* 
+	* @method farthestPoint
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @return {Object}
+	*         sqDistance: Square distance to the furthest point object(s) from P, or -1 if the 
+	*                     QuadTree is empty.
+	*         points:     Array of all points exactly sqDistance away from P.
+	*         hits:       Number of point objects examined during the search.
+	*/
+	QuadTree.prototype.farthestPoint = function (x, y)
+	{
+		requirePointMode.call(this, "farthestPoint");
+		
+		if (typeof x !== "number" || typeof y !== "number")
+			throw new TypeError("farthestPoint arguments must be numbers!");
+		
+		if (this.metric === metrics.haversine)
+		{
+			// On a sphere, the furthest points from P are the closest points to the opposite side 
+			// of the sphere from P
+			var antipode = nearestPrivate.call(this, x < 0 ? x + 180 : x - 180, -y),
+			    distance = Math.PI * EARTH_RADIUS - Math.sqrt(antipode.sqDistance);
+			
+			return {
+				sqDistance: antipode.points.length > 0 ? distance * distance : -1,
+				points: antipode.points,
+				hits: antipode.hits
+			};
+		}
+		
+		var search = {
+			sqDistance: -1,
+			points: [],
+			hits: 0
+		};
+		
+		farthestSearch.call(this, x, y, search);
+		
+		return {
+			sqDistance: search.sqDistance,
+			points: toIds.call(this, search.points),
+			hits: search.hits
+		};
+	}
+	
+	/**
+	* An iterator that gives the points of a QuadTree in order of their distance to an arbitrary 
+	* point P. Nodes and points wait in a priority queue keyed by their distance to P, so only as 
+	* much of the QuadTree is searched as is needed for the points asked for.
+	* 
+	* @method NearestIterator
+	* @param {QuadTree} root The node to search.
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @private
+	*/
+	function NearestIterator(root, x, y)
+	{
+		this.x = x;
+		this.y = y;
+		this.store = root.store;
+		this.sqDistance = Number.NaN;
+		this.hits = 0;
+		
+		// Closest first. At the same distance, points come before nodes so they are returned
+		// without searching any further. With typed array storage, row 0 is a point too.
+		this.queue = new BinaryHeap(function (a, b) {
+			return a.sqDistance - b.sqDistance 
+			    || (a.point !== undefined ? -1 : 0) - (b.point !== undefined ? -1 : 0);
+		});
+		
+		// A leaf root can hold points outside of its bounds, so it is never skipped
+		this.queue.push({ node: root, sqDistance: 0 });
+	}
+	
+	NearestIterator.prototype.next = function ()
+	{
+		var x = this.x,
+		    y = this.y;
+		
+		while (this.queue.size() > 0)
+		{
+			var item = this.queue.pop();
+			
+			if (item.point !== undefined)
+			{
+				this.sqDistance = item.sqDistance;
+				
+				return { 
+					value: this.store === null ? item.point : this.store.ids[item.point], 
+					done: false 
+				};
+			}
+			
+			var node = item.node;
+			
+			if (node.points !== null)
+			{
+				for (var i = 0; i < node.points.length; i++)
+				{
+					var pointX = node.xAccessor(node.points[i]),
+					    pointY = node.yAccessor(node.points[i]);
+					
+					this.queue.push({ 
+						point: node.points[i], 
+						sqDistance: metricSquareDistance.call(node, x, y, pointX, pointY)
+					});
+				}
+				
+				this.hits += node.points.length;
+			}
+			else
+			{
+				var children = [node.topLeft, node.topRight, node.bottomLeft, node.bottomRight];
+				
+				for (var i = 0; i < children.length; i++)
+				{
+					this.queue.push({ 
+						node: children[i], 
+						sqDistance: boxSquareDistance(x, y, children[i]) 
+					});
+				}
+			}
+		}
+		
+		return { value: undefined, done: true };
+	}
+	
+	/**
+	* Gets the points in the QuadTree one at a time, closest to an arbitrary point P first. Each 
+	* call to next only searches as much of the QuadTree as it needs to, so it is cheap to stop 
+	* after the first few points. The QuadTree must not be changed while iterating.
+	* 
+	* @method nearestIterator
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @return {Object}
+	*         An iterator with a next method, giving point objects (or ids with typed array 
+	*         storage) in order of increasing distance from P. It also has these properties:
+	*         sqDistance: Square distance from P to the point last given by next.
+	*         hits:       Number of point objects examined so far.
+	*/
+	QuadTree.prototype.nearestIterator = function (x, y)
+	{
+		requirePointMode.call(this, "nearestIterator");
+		
+		if (typeof x !== "number" || typeof y !== "number")
+			throw new TypeError("nearestIterator arguments must be numbers!");
+		
+		return new NearestIterator(this, x, y);
+	}
+
+	/**
+	* Gets all the points inside an axis aligned rectangle R. In rectangle mode, gets all the 
+	* rectangles that intersect R instead.
+	*
+	* @method queryRange
+	* @param {Number} minX The left most edge of R
+	* @param {Number} minY The top most edge of R
+	* @param {Number} maxX The right most edge of R
+	* @param {Number} maxY The bottom most edge of R
+	* @param {Boolean} [inclusive=false]
+	*        If true, points lying exactly on the right or bottom edges of R are included. Otherwise
+	*        R is half-open, just like the bounds of the QuadTree itself.
+	*        In geographic mode, minX may be greater than maxX, in which case R wraps across the 
+	*        antimeridian.
+	* @return {Array} All point objects inside R.
+	*/
+	QuadTree.prototype.queryRange = function (minX, minY, maxX, maxY, inclusive)
+	{
+		if (typeof minX !== "number"
+		    || typeof minY !== "number"
+			|| typeof maxX !== "number"
+			|| typeof maxY !== "number")
+		{
+			throw new TypeError("queryRange boundary arguments must be numbers!");
+		}
+		
+		if (this.geographic && minX > maxX)
+		{
+			//R crosses the antimeridian, so look on both sides of it
+			return this.queryRange(minX, minY, Infinity, maxY, inclusive)
+				.concat(this.queryRange(-Infinity, minY, maxX, maxY, inclusive));
+		}
+		
+		var rectangles = this.minXAccessor !== null;
+
+		function overlaps(quadTreeNode)
+		{
+			var extent = rectangles ? extentOf.call(quadTreeNode) : quadTreeNode;
+			
+			// Nodes are half-open, so a node ending exactly on R's near edge only overlaps R 
+			// when it holds rectangles, which include their edges.
+			if (rectangles ? extent.maxX < minX || extent.maxY < minY
+			               : extent.maxX <= minX || extent.maxY <= minY)
+				return false;
+
+			// Likewise a node starting exactly on R's far edge only overlaps R when that edge
+			// is inclusive.
+			if (inclusive)
+				return extent.minX <= maxX && extent.minY <= maxY;
+
+			return extent.minX < maxX && extent.minY < maxY;
+		}
+		
+		function collect(objects, result)
+		{
+			for (var i = 0; i < objects.length; i++)
+			{
+				var objectMinX, objectMinY, objectMaxX, objectMaxY;
+				
+				if (rectangles)
+				{
+					objectMinX = this.minXAccessor(objects[i]);
+					objectMinY = this.minYAccessor(objects[i]);
+					objectMaxX = this.maxXAccessor(objects[i]);
+					objectMaxY = this.maxYAccessor(objects[i]);
+				}
+				else
+				{
+					objectMinX = objectMaxX = this.xAccessor(objects[i]);
+					objectMinY = objectMaxY = this.yAccessor(objects[i]);
+				}
+
+				if (objectMaxX < minX || objectMaxY < minY)
+					continue;
+
+				if (inclusive ? (objectMinX <= maxX && objectMinY <= maxY)
+				              : (objectMinX < maxX && objectMinY < maxY))
+				{
+					result.push(objects[i]);
+				}
+			}
+		}
+
+		function queryRangePrivate(result)
+		{
+			if (this.points !== null)
+			{
+				// Leaf node! Search my points!
+				collect.call(this, this.points, result);
+			}
+			else
+			{
+				if (rectangles)
+					collect.call(this, this.straddling, result);
+				
+				// Only go into the subtrees that R touches
+				if (overlaps(this.topLeft))
+					queryRangePrivate.call(this.topLeft, result);
+
+				if (overlaps(this.topRight))
+					queryRangePrivate.call(this.topRight, result);
+
+				if (overlaps(this.bottomLeft))
+					queryRangePrivate.call(this.bottomLeft, result);
+
+				if (overlaps(this.bottomRight))
+					queryRangePrivate.call(this.bottomRight, result);
+			}
+		}
+
+		var result = [];
+		queryRangePrivate.call(this, result);
+		return toIds.call(this, result);
+	}
+	
+	/**
+	* Gets all the rectangles that contain an arbitrary point P, edges included.
+	* Only supported in rectangle mode.
+	* 
+	* @method queryPoint
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @return {Array} All rectangle objects containing P.
+	*/
+	QuadTree.prototype.queryPoint = function (x, y)
+	{
+		if (this.minXAccessor === null)
+		{
+			throw new Error("queryPoint is only supported in rectangle mode");
+		}
+		
+		if (typeof x !== "number" || typeof y !== "number")
+			throw new TypeError("queryPoint arguments must be numbers!");
+		
+		function collect(rectangles, result)
+		{
+			for (var i = 0; i < rectangles.length; i++)
+			{
+				if (this.minXAccessor(rectangles[i]) <= x && x <= this.maxXAccessor(rectangles[i])
+				    && this.minYAccessor(rectangles[i]) <= y && y <= this.maxYAccessor(rectangles[i]))
+				{
+					result.push(rectangles[i]);
+				}
+			}
+		}
+		
+		// Rectangles include their edges, so P may be in more than one subtree when it lies on
+		// the split.
+		function touches(quadTreeNode)
+		{
+			var extent = extentOf.call(quadTreeNode);
+			
+			return extent.minX <= x && x <= extent.maxX
+			    && extent.minY <= y && y <= extent.maxY;
+		}
+		
+		function queryPointPrivate(result)
+		{
+			if (this.points !== null)
+			{
+				collect.call(this, this.points, result);
+			}
+			else
+			{
+				collect.call(this, this.straddling, result);
+				
+				if (touches(this.topLeft))
+					queryPointPrivate.call(this.topLeft, result);
+
+				if (touches(this.topRight))
+					queryPointPrivate.call(this.topRight, result);
+
+				if (touches(this.bottomLeft))
+					queryPointPrivate.call(this.bottomLeft, result);
+
+				if (touches(this.bottomRight))
+					queryPointPrivate.call(this.bottomRight, result);
+			}
+		}
+		
+		var result = [];
+		queryPointPrivate.call(this, result);
+		return result;
+	}
+	
+	/**
+	* Gets all the points within a given distance of an arbitrary point P, using the metric of the
+	* QuadTree.
+	* 
+	* @method queryRadius
+	* @param {Number} x X coordinate of P
+	* @param {Number} y Y coordinate of P
+	* @param {Number} r The maximum distance from P. Points exactly r away are included.
+	* @return {Array} All point objects no further than r from P.
+	*/
+	QuadTree.prototype.queryRadius = function (x, y, r)
+	{
+		requirePointMode.call(this, "queryRadius");
+		
+		if (typeof x !== "number" || typeof y !== "number" || typeof r !== "number")
+			throw new TypeError("queryRadius arguments must be numbers!");
+		
+		var sqRadius = r * r;
+		
+		function queryRadiusPrivate(result)
+		{
+			if (this.points !== null)
+			{
+				// Leaf node! Search my points!
+				for (var i = 0; i < this.points.length; i++)
+				{
+					var pointX = this.xAccessor(this.points[i]),
+					    pointY = this.yAccessor(this.points[i]);
+					
+					if (metricSquareDistance.call(this, x, y, pointX, pointY) <= sqRadius)
+						result.push(this.points[i]);
+				}
+			}
+			else
+			{
+				// Only go into the subtrees that the circle touches
+				if (boxSquareDistance(x, y, this.topLeft) <= sqRadius)
+					queryRadiusPrivate.call(this.topLeft, result);
+				
+				if (boxSquareDistance(x, y, this.topRight) <= sqRadius)
+					queryRadiusPrivate.call(this.topRight, result);
+				
+				if (boxSquareDistance(x, y, this.bottomLeft) <= sqRadius)
+					queryRadiusPrivate.call(this.bottomLeft, result);
+				
+				if (boxSquareDistance(x, y, this.bottomRight) <= sqRadius)
+					queryRadiusPrivate.call(this.bottomRight, result);
+			}
+		}
+		
+		var result = [];
+		if (r >= 0)
+			queryRadiusPrivate.call(this, result);
+		return toIds.call(this, result);
+	}
+	
+	/**
+	* Finds the pairs of points, one from each of two separate nodes, that are within a given 
+	* distance of each other. The two nodes are split into their subtrees until both are leaf 
+	* nodes, and pairs of nodes that are too far apart to hold any such pair are skipped.
+	* Distances are measured using the metric of the first node.
+	* 
+	* @method joinNodes
+	* @param {QuadTree} first The first node.
+	* @param {QuadTree} second The second node.
+	* @param {Object} join
+	*        sqDistance: The maximum square distance between the two points of a pair. It may be 
+	*                    lowered by report to narrow the search.
+	*        report:     Function called for each pair with the point from the first node, the 
+	*                    point from the second node and the square distance between them.
+	* @private
+	*/
+	function joinNodes(first, second, join)
+	{
+		if (nodeSquareDistance(first, second) > join.sqDistance)
+			return;
+		
+		// A leaf node can be checked point by point, which works for every metric
+		function tooFar(leaf, node)
+		{
+			for (var i = 0; i < leaf.points.length; i++)
+			{
+				var pointX = leaf.xAccessor(leaf.points[i]),
+				    pointY = leaf.yAccessor(leaf.points[i]);
+				
+				if (boxSquareDistance(pointX, pointY, node) <= join.sqDistance)
+					return false;
+			}
+			return true;
+		}
+		
+		if (first.points !== null && second.points !== null)
+		{
+			for (var i = 0; i < first.points.length; i++)
+			{
+				var pointX = first.xAccessor(first.points[i]),
+				    pointY = first.yAccessor(first.points[i]);
+				
+				for (var j = 0; j < second.points.length; j++)
+				{
+					var sd = metricSquareDistance.call(first, pointX, pointY, 
+						second.xAccessor(second.points[j]), second.yAccessor(second.points[j]));
+					
+					if (sd <= join.sqDistance)
+						join.report(first.points[i], second.points[j], sd);
+				}
+			}
+		}
+		else if (second.points !== null 
+		         || (first.points === null && first.maxX - first.minX >= second.maxX - second.minX))
+		{
+			// Split the first node, as it is the larger of the two
+			if (second.points !== null && tooFar(second, first))
+				return;
+			
+			joinNodes(first.topLeft, second, join);
+			joinNodes(first.topRight, second, join);
+			joinNodes(first.bottomLeft, second, join);
+			joinNodes(first.bottomRight, second, join);
+		}
+		else
+		{
+			// Split the second node
+			if (first.points !== null && tooFar(first, second))
+				return;
+			
+			joinNodes(first, second.topLeft, join);
+			joinNodes(first, second.topRight, join);
+			joinNodes(first, second.bottomLeft, join);
+			joinNodes(first, second.bottomRight, join);
+		}
+	}
+	
+	/**
+	* Finds the pairs of points in this node that are within a given distance of each other, the 
+	* same way joinNodes does for two separate nodes. Each pair is found once.
+	* 
+	* @method joinWithin
+	* @param {Object} join See joinNodes.
+	* @private
+	*/
+	function joinWithin(join)
+	{
+		if (this.points !== null)
+		{
+			for (var i = 0; i < this.points.length; i++)
+			{
+				var pointX = this.xAccessor(this.points[i]),
+				    pointY = this.yAccessor(this.points[i]);
+				
+				for (var j = i + 1; j < this.points.length; j++)
+				{
+					var sd = metricSquareDistance.call(this, pointX, pointY, 
+						this.xAccessor(this.points[j]), this.yAccessor(this.points[j]));
+					
+					if (sd <= join.sqDistance)
+						join.report(this.points[i], this.points[j], sd);
+				}
+			}
+		}
+		else
+		{
+			var children = [this.topLeft, this.topRight, this.bottomLeft, this.bottomRight];
+			
+			for (var i = 0; i < children.length; i++)
+			{
+				joinWithin.call(children[i], join);
+				
+				for (var j = i + 1; j < children.length; j++)
+					joinNodes(children[i], children[j], join);
+			}
+		}
+	}
+	
+	/**
+	* Calls a function for every pair of points that are within a given distance of each other, 
+	* using the metric of the QuadTree. Each pair is reported exactly once, in no particular order 
+	* of the two points. Pairs of points in the same leaf node are compared directly, and pairs of
+	* nodes that are too far apart to hold any such pair are skipped, so a custom metric must meet
+	* the requirement given for config.metric in the constructor.
+	* 
+	* @method forEachPairWithin
+	* @param {Number} d The maximum distance. Points exactly d apart are included.
+	* @param {Function} callback 
+	*        Function called with the two point objects (ids with typed array storage) of each 
+	*        pair, and the square distance between them.
+	*/
+	QuadTree.prototype.forEachPairWithin = function (d, callback)
+	{
+		requirePointMode.call(this, "forEachPairWithin");
+		
+		if (typeof d !== "number")
+			throw new TypeError("d must be a number");
+		if (typeof callback !== "function")
+			throw new TypeError("callback must be a Function");
+		
+		var ids = this.store === null ? null : this.store.ids;
+		
+		var join = {
+			sqDistance: d * d,
+			report: function (first, second, sd)
+			{
+				if (ids === null)
+					callback(first, second, sd);
+				else
+					callback(ids[first], ids[second], sd);
+			}
+		};
+		
+		if (d >= 0)
+			joinWithin.call(this, join);
+	}
+	
+	/**
+	* Gets the two distinct points that are closest to each other, using the metric of the 
+	* QuadTree. Like forEachPairWithin, this compares whole nodes with each other, which limits 
+	* the custom metrics it works with as described under config.metric in the constructor.
+	* 
+	* @method closestPair
+	* @return {Object}
+	*         sqDistance: Square distance between the two points, or Number.MAX_VALUE if the 
+	*                     QuadTree has fewer than two points.
+	*         points:     Array of the two points, or an empty array if there are fewer than two.
+	*                     Ties are broken arbitrarily.
+	*/
+	QuadTree.prototype.closestPair = function ()
+	{
+		requirePointMode.call(this, "closestPair");
+		
+		var result = {
+			sqDistance: Number.MAX_VALUE,
+			points: []
+		};
+		
+		var join = {
+			sqDistance: Number.MAX_VALUE,
+			report: function (first, second, sd)
+			{
+				// Only pairs closer than this one are of interest from now on
+				if (sd < this.sqDistance || result.points.length === 0)
+				{
+					result.sqDistance = this.sqDistance = sd;
+					result.points = [first, second];
+				}
+			}
+		};
+		
+		joinWithin.call(this, join);
+		
+		result.points = toIds.call(this, result.points);
+		return result;
+	}
+	
+	/**
+	* This function throws unless both arguments are QuadTrees in point mode, and both or neither 
+	* are in geographic mode.
+	* 
+	* @method requireJoinable
+	* @param {String} name The name of the method that joins the QuadTrees.
+	* @param {QuadTree} treeA The first QuadTree.
+	* @param {QuadTree} treeB The second QuadTree.
+	* @private
+	*/
+	function requireJoinable(name, treeA, treeB)
+	{
+		if (!(treeA instanceof QuadTree) || !(treeB instanceof QuadTree))
+			throw new TypeError("treeA and treeB must be QuadTrees");
+		
+		requirePointMode.call(treeA, name);
+		requirePointMode.call(treeB, name);
+		
+		if (treeA.geographic !== treeB.geographic)
+			throw new Error(name + " needs both or neither of the QuadTrees to be geographic");
+	}
+	
+	/**
+	* Calls a function for every pair of points, one from each of two QuadTrees, that are within a
+	* given distance of each other. Both QuadTrees are walked at the same time, and pairs of nodes
+	* that are too far apart to hold any such pair are skipped, which is much faster than querying
+	* one QuadTree for each point of the other. Distances are measured using the metric of treeA, 
+	* so a custom metric must meet the requirement given for config.metric in the constructor.
+	* Both QuadTrees must be geographic or neither, and they must be different QuadTrees; see 
+	* {{#crossLink "QuadTree/forEachPairWithin:method"}}{{/crossLink}} for joining a QuadTree with
+	* itself.
+	* 
+	* @method join
+	* @static
+	* @param {QuadTree} treeA The first QuadTree.
+	* @param {QuadTree} treeB The second QuadTree.
+	* @param {Number} maxDistance 
+	*        The maximum distance. Points exactly maxDistance apart are included.
+	* @param {Function} callback 
+	*        Function called for each pair with the point object from treeA, the point object from 
+	*        treeB (ids with typed array storage) and the square distance between them.
+	*/
+	QuadTree.join = function (treeA, treeB, maxDistance, callback)
+	{
+		requireJoinable("join", treeA, treeB);
+		
+		if (treeA === treeB)
+			throw new Error("Use forEachPairWithin to join a QuadTree with itself");
+		
+		if (typeof maxDistance !== "number")
+			throw new TypeError("maxDistance must be a number");
+		if (typeof callback !== "function")
+			throw new TypeError("callback must be a Function");
+		
+		var idsA = treeA.store === null ? null : treeA.store.ids,
+		    idsB = treeB.store === null ? null : treeB.store.ids;
+		
+		var join = {
+			sqDistance: maxDistance * maxDistance,
+			report: function (pointA, pointB, sd)
+			{
+				callback(idsA === null ? pointA : idsA[pointA], 
+				         idsB === null ? pointB : idsB[pointB], sd);
+			}
+		};
+		
+		if (maxDistance >= 0)
+			joinNodes(treeA, treeB, join);
+	}
+	
+	/**
+	* Finds the k nearest points in one QuadTree to each point of another. The points of each leaf
+	* node of treeA are searched for together, so each node of treeB is only visited once for all 
+	* of them. Distances are measured using the metric of treeB. Both QuadTrees must be 
+	* geographic or neither. If they are the same QuadTree, each point is among its own nearest.
+	* 
+	* @method kNearestJoin
+	* @static
+	* @param {QuadTree} treeA The QuadTree whose points are searched for.
+	* @param {QuadTree} treeB The QuadTree that is searched.
+	* @param {Number} k The maximum number of points to find for each point of treeA.
+	* @param {Function} callback 
+	*        Function called once for each point of treeA, with the point object (an id with typed 
+	*        array storage) and the same result as 
+	*        {{#crossLink "QuadTree/kNearest:method"}}{{/crossLink}} gives for it on treeB.
+	*/
+	QuadTree.kNearestJoin = function (treeA, treeB, k, callback)
+	{
+		requireJoinable("kNearestJoin", treeA, treeB);
+		
+		if (typeof k !== "number")
+			throw new TypeError("k must be a number");
+		if (typeof callback !== "function")
+			throw new TypeError("callback must be a Function");
+		
+		var idsA = treeA.store === null ? null : treeA.store.ids;
+		
+		// Searches treeB for the points of a leaf node of treeA at once. (x, y) is the centre of
+		// that leaf node, used to decide which subtrees are likely to be closest.
+		function searchNode(searches, x, y)
+		{
+			// Only the searches that could still find something closer here carry on
+			var near = searches.filter(function (search)
+			{
+				return search.sqDistance >= boxSquareDistance(search.x, search.y, this);
+			}, this);
+			
+			if (near.length === 0)
+				return;
+			
+			if (this.points !== null)
+			{
+				near.forEach(function (search)
+				{
+					nearestSearch.call(this, search.x, search.y, search);
+				}, this);
+				return;
+			}
+			
+			[this.topLeft, this.topRight, this.bottomLeft, this.bottomRight].map(function (child)
+			{
+				return { child: child, sqDistance: boxSquareDistance(x, y, child) };
+			}).sort(function (a, b) 
+			{ 
+				return a.sqDistance - b.sqDistance; 
+			}).forEach(function (candidate)
+			{
+				searchNode.call(candidate.child, near, x, y);
+			});
+		}
+		
+		function joinLeaves()
+		{
+			if (this.points === null)
+			{
+				joinLeaves.call(this.topLeft);
+				joinLeaves.call(this.topRight);
+				joinLeaves.call(this.bottomLeft);
+				joinLeaves.call(this.bottomRight);
+				return;
+			}
+			
+			var searches = this.points.map(function (point)
+			{
+				var search = kNearestSearch(k);
+				search.x = this.xAccessor(point);
+				search.y = this.yAccessor(point);
+				return search;
+			}, this);
+			
+			if (k >= 1 && searches.length > 0)
+			{
+				searchNode.call(treeB, searches, 
+					(this.minX + this.maxX) / 2, (this.minY + this.maxY) / 2);
+			}
+			
+			for (var i = 0; i < this.points.length; i++)
+			{
+				callback(idsA === null ? this.points[i] : idsA[this.points[i]], 
+				         kNearestResult.call(treeB, searches[i]));
+			}
+		}
+		
+		joinLeaves.call(treeA);
+	}
+	
+	/**
+	* Creates a QuadTree just big enough to hold a set of points and loads them all at once. This
+	* builds the same QuadTree as adding the points one by one, only much faster.
+	* 
+	* @method fromPoints
+	* @static
+	* @param {Array} points The point objects to add.
+	* @param {Object} [config] 
+	*        The same config object as accepted by the {{#crossLink "QuadTree"}}{{/crossLink}}
+	*        constructor. config.points is ignored.
+	* @return {QuadTree} The new QuadTree.
+	*/
+	QuadTree.fromPoints = function (points, config)
+	{
+		if (Object.prototype.toString.call(points) !== "[object Array]")
+		{
+			throw new TypeError("points must be an instance of Array");
+		}
+		
+		if (points.length === 0)
+		{
+			throw new Error("Cannot work out the bounds of an empty set of points");
+		}
+		
+		var treeConfig = {};
+		for (var key in config)
+		{
+			if (key !== "points")
+				treeConfig[key] = config[key];
+		}
+		
+		if (treeConfig.minXAccessor)
+		{
+			throw new Error("fromPoints is not supported in rectangle mode");
+		}
+		
+		if (treeConfig.typedArrays)
+		{
+			throw new Error("fromPoints is not supported with typed array storage");
+		}
+		
+		var xAccessor = treeConfig.xAccessor || QuadTree.prototype.xAccessor,
+		    yAccessor = treeConfig.yAccessor || QuadTree.prototype.yAccessor;
+		
+		var minX = Number.POSITIVE_INFINITY,
+		    minY = Number.POSITIVE_INFINITY,
+		    maxX = Number.NEGATIVE_INFINITY,
+		    maxY = Number.NEGATIVE_INFINITY;
+		
+		for (var i = 0; i < points.length; i++)
+		{
+			var pointX = xAccessor(points[i]),
+			    pointY = yAccessor(points[i]);
+			
+			if (pointX < minX) minX = pointX;
+			if (pointY < minY) minY = pointY;
+			if (pointX > maxX) maxX = pointX;
+			if (pointY > maxY) maxY = pointY;
+		}
+		
+		if (!isFinite(minX) || !isFinite(minY) || !isFinite(maxX) || !isFinite(maxY))
+		{
+			throw new Error("Points must have finite positions");
+		}
+		
+		//The bounds are half-open, so nudge the maximums up past the furthest points
+		var epsilon = Math.pow(2, -52);
+		maxX += Math.max(Math.abs(maxX), 1) * epsilon;
+		maxY += Math.max(Math.abs(maxY), 1) * epsilon;
+		
+		var tree = new QuadTree(minX, minY, maxX, maxY, treeConfig);
+		bulkLoad.call(tree, points);
+		return tree;
+	}
+	
+	/**
+	* Gets a plain object describing the whole QuadTree, including the layout of its nodes, that 
+	* can be turned into JSON and later restored with 
+	* {{#crossLink "QuadTree/fromJSON:method"}}{{/crossLink}}. Accessors and custom metrics are 
+	* functions, so they are not included.
+	* 
+	* This is also called by JSON.stringify, in which case the point objects are included as they
+	* are.
+	* 
+	* @method toJSON
+	* @param {Function} [serializer] 
+	*        Function that accepts one point object argument and returns something that can be 
+	*        turned into JSON. If not given, point objects are included as they are.
+	* @return {Object} The description of the QuadTree.
+	*/
+	QuadTree.prototype.toJSON = function (serializer)
+	{
+		requireObjects.call(this, "toJSON");
+		
+		// JSON.stringify passes a key here instead
+		if (typeof serializer !== "function")
+			serializer = function (point) { return point; };
+		
+		function toJSONPrivate()
+		{
+			if (this.points !== null)
+			{
+				return { points: this.points.map(function (p) { return serializer(p); }) };
+			}
+			
+			var node = {
+				children: [
+					toJSONPrivate.call(this.topLeft), 
+					toJSONPrivate.call(this.topRight), 
+					toJSONPrivate.call(this.bottomLeft), 
+					toJSONPrivate.call(this.bottomRight)
+				]
+			};
+			
+			if (this.straddling !== null)
+				node.straddling = this.straddling.map(function (p) { return serializer(p); });
+			
+			return node;
+		}
+		
+		var metric = null;
+		for (var name in metrics)
+		{
+			if (metrics[name] === this.metric)
+				metric = name;
+		}
+		
+		return {
+			minX: this.minX,
+			minY: this.minY,
+			maxX: this.maxX,
+			maxY: this.maxY,
+			upperThreshold: this.upperThreshold,
+			lowerThreshold: this.lowerThreshold,
+			maxDepth: this.maxDepth,
+			autoExpand: this.autoExpand,
+			rectangles: this.minXAccessor !== null,
+			looseness: this.looseness,
+			metric: metric,
+			geographic: this.geographic,
+			root: toJSONPrivate.call(this)
+		};
+	}
+	
+	/**
+	* Restores a QuadTree described by {{#crossLink "QuadTree/toJSON:method"}}{{/crossLink}}. The
+	* restored QuadTree has exactly the same nodes as the original; nothing is added again.
+	* 
+	* @method fromJSON
+	* @static
+	* @param {Object|String} data The description of the QuadTree, or the JSON of it.
+	* @param {Object} [config] 
+	*        The same config object as accepted by the {{#crossLink "QuadTree"}}{{/crossLink}}
+	*        constructor. This must give the same accessors as the original QuadTree, and the same
+	*        metric if it was a custom one. A built in metric is restored from data, so config can 
+	*        only give that same metric. Everything else comes from data, and config.points is 
+	*        ignored.
+	* @param {Function} [deserializer]
+	*        Function that accepts one serialized point argument and returns the point object. 
+	*        This should undo the serializer given to toJSON.
+	* @return {QuadTree} The restored QuadTree.
+	*/
+	QuadTree.fromJSON = function (data, config, deserializer)
+	{
+		if (typeof data === "string")
+			data = JSON.parse(data);
+		
+		if (!data || typeof data.root !== "object" || data.root === null)
+			throw new TypeError("data must describe a QuadTree");
+		
+		if (deserializer === undefined)
+			deserializer = function (point) { return point; };
+		else if (typeof deserializer !== "function")
+			throw new TypeError("deserializer can only be undefined or a Function");
+		
+		var treeConfig = {};
+		for (var key in config)
+		{
+			if (key !== "points")
+				treeConfig[key] = config[key];
+		}
+		
+		if (data.rectangles !== !!treeConfig.minXAccessor)
+		{
+			throw new Error(data.rectangles 
+				? "The QuadTree was in rectangle mode, so config must give the rectangle accessors"
+				: "The QuadTree was not in rectangle mode, so config cannot give rectangle accessors");
+		}
+		
+		if (data.metric === null)
+		{
+			if (!treeConfig.metric)
+				throw new Error("The QuadTree had a custom metric, so config must give it");
+		}
+		else
+		{
+			if (treeConfig.metric && treeConfig.metric !== data.metric 
+			    && treeConfig.metric !== metrics[data.metric])
+			{
+				throw new Error("The QuadTree used the \"" + data.metric + "\" metric, so config "
+					+ "cannot give another");
+			}
+			treeConfig.metric = data.metric;
+		}
+		
+		treeConfig.upperThreshold = data.upperThreshold;
+		treeConfig.lowerThreshold = data.lowerThreshold;
+		treeConfig.maxDepth = data.maxDepth;
+		treeConfig.autoExpand = data.autoExpand;
+		treeConfig.looseness = data.looseness;
+		treeConfig.geographic = data.geographic;
+		
+		function restore(objects)
+		{
+			if (Object.prototype.toString.call(objects) !== "[object Array]")
+				throw new TypeError("data must describe a QuadTree");
+			
+			return objects.map(function (p) { return deserializer(p); });
+		}
+		
+		function fromJSONPrivate(node)
+		{
+			if (!node.children)
+			{
+				this.points = restore(node.points);
+				this.pointCount = this.points.length;
+				return;
+			}
+			
+			if (node.children.length !== 4)
+				throw new TypeError("data must describe a QuadTree");
+			
+			createChildren.call(this);
+			this.points = null;
+			this.pointCount = 0;
+			
+			if (data.rectangles)
+			{
+				this.straddling = restore(node.straddling);
+				this.pointCount = this.straddling.length;
+			}
+			
+			var children = [this.topLeft, this.topRight, this.bottomLeft, this.bottomRight];
+			
+			for (var i = 0; i < 4; i++)
+			{
+				fromJSONPrivate.call(children[i], node.children[i]);
+				this.pointCount += children[i].pointCount;
+			}
+		}
+		
+		var tree = new QuadTree(data.minX, data.minY, data.maxX, data.maxY, treeConfig);
+		
+		//The constructor takes a maxDepth of 0 to mean the default
+		tree.maxDepth = data.maxDepth;
+		
+		fromJSONPrivate.call(tree, data.root);
+		return tree;
+	}
+	
+	/**
+	* With typed array storage, copies the bounds, settings and points of the QuadTree into a 
+	* single ArrayBuffer. This can be transferred to a Web Worker or written to disk, and turned 
+	* back into a QuadTree with {{#crossLink "QuadTree/fromArrayBuffer:method"}}{{/crossLink}}.
+	* 
+	* The buffer starts with 8 Float64 values: minX, minY, maxX, maxY, the number of points n, 
+	* upperThreshold, lowerThreshold and maxDepth. Then come n Float64 x positions, n Float64 y 
+	* positions and n Uint32 ids.
+	* 
+	* @method toArrayBuffer
+	* @return {ArrayBuffer} The buffer.
+	*/
+	QuadTree.prototype.toArrayBuffer = function ()
+	{
+		if (this.store === null)
+		{
+			throw new Error("toArrayBuffer needs typed array storage");
+		}
+		
+		var store = this.store,
+		    count = this.pointCount,
+		    buffer = new ArrayBuffer(64 + count * 20);
+		
+		var header = new Float64Array(buffer, 0, 8),
+		    xs = new Float64Array(buffer, 64, count),
+		    ys = new Float64Array(buffer, 64 + count * 8, count),
+		    ids = new Uint32Array(buffer, 64 + count * 16, count);
+		
+		header[0] = this.minX;
+		header[1] = this.minY;
+		header[2] = this.maxX;
+		header[3] = this.maxY;
+		header[4] = count;
+		header[5] = this.upperThreshold;
+		header[6] = this.lowerThreshold;
+		header[7] = this.maxDepth;
+		
+		//Only the rows in use, in the order they are in the QuadTree
+		var rows = [];
+		collectPoints.call(this, rows);
+		
+		for (var i = 0; i < count; i++)
+		{
+			xs[i] = store.xs[rows[i]];
+			ys[i] = store.ys[rows[i]];
+			ids[i] = store.ids[rows[i]];
+		}
+		
+		return buffer;
+	}
+	
+	/**
+	* Creates a QuadTree with typed array storage from an ArrayBuffer made by
+	* {{#crossLink "QuadTree/toArrayBuffer:method"}}{{/crossLink}}. The points are bulk loaded, 
+	* which gives the same QuadTree as adding them one by one.
+	* 
+	* @method fromArrayBuffer
+	* @static
+	* @param {ArrayBuffer} buffer The buffer.
+	* @param {Object} [config] 
+	*        The same config object as accepted by the {{#crossLink "QuadTree"}}{{/crossLink}}
+	*        constructor. The thresholds and maxDepth come from the buffer.
+	* @return {QuadTree} The new QuadTree.
+	*/
+	QuadTree.fromArrayBuffer = function (buffer, config)
+	{
+		if (Object.prototype.toString.call(buffer) !== "[object ArrayBuffer]")
+		{
+			throw new TypeError("buffer must be an instance of ArrayBuffer");
+		}
+		
+		var header = new Float64Array(buffer, 0, 8),
+		    count = header[4];
+		
+		if (buffer.byteLength !== 64 + count * 20)
+		{
+			throw new Error("buffer was not made by toArrayBuffer");
+		}
+		
+		var treeConfig = {};
+		for (var key in config)
+		{
+			if (key !== "points")
+				treeConfig[key] = config[key];
+		}
+		
+		treeConfig.typedArrays = true;
+		treeConfig.upperThreshold = header[5];
+		treeConfig.lowerThreshold = header[6];
+		
+		var tree = new QuadTree(header[0], header[1], header[2], header[3], treeConfig);
+		tree.maxDepth = header[7];
+		
+		createStore.call(tree, Math.max(count, 16));
+		
+		var store = tree.store,
+		    rows = new Array(count);
+		
+		store.xs.set(new Float64Array(buffer, 64, count));
+		store.ys.set(new Float64Array(buffer, 64 + count * 8, count));
+		store.ids.set(new Uint32Array(buffer, 64 + count * 16, count));
+		store.length = count;
+		
+		for (var i = 0; i < count; i++)
+		{
+			store.rows[store.ids[i]] = i;
+			rows[i] = i;
+		}
+		
+		bulkLoad.call(tree, rows);
+		return tree;
+	}
+	
+	/**
+	* Checks if a point is inside this QuadTree
+	* 
+	* @method contains
+	* @param {Number|Object} pointOrX The point to remove from the QuadTree
+	* @param {Number} [y]
+    *        The y position of the point. If undefined, pointOrX is a point object. If defined, 
+	*        pointOrX must be a Number. In rectangle mode, a rectangle object is inside if it lies
+	*        entirely within the QuadTree, edges included. A loose QuadTree's bounds are enlarged
+	*        by its looseness factor.
+	* @return {Boolean} True if the point is inside
+	*/
+	QuadTree.prototype.contains = function (pointOrX, y)
+	{
+		var pointX, pointY;
+		
+		if (y === undefined)
+		{
+			if (this.store !== null)
+			{
+				//Ids stand in for point objects
+				if (!this.store.rows.hasOwnProperty(pointOrX))
+					return false;
+				pointOrX = this.store.rows[pointOrX];
+			}
+			
+			if (this.minXAccessor !== null)
+			{
+				return canHold.call(this, boundsOf.call(this, pointOrX));
+			}
+			
+			pointX = this.xAccessor(pointOrX);
+			pointY = this.yAccessor(pointOrX);
+		}
+		else
+		{
+			if (typeof pointOrX !== "number")
+				throw new TypeError("If y is defined, pointOrX must be a number");
+			pointX = pointOrX;
+			pointY = y;
+		}
+		
+		return (pointX >= this.minX
+		    && pointX < this.maxX
+			&& pointY >= this.minY
+			&& pointY < this.maxY);
+	}
+	
+	/**
+	* The names of the events that can be listened to.
+	* 
+	* @property EVENTS
+	* @type {Array}
+	* @private
+	*/
+	var EVENTS = ["add", "remove", "move", "split", "merge"];
+	
+	/**
+	* Registers a function to be called when the QuadTree changes. The events are:
+	* 
+	* add:    A point was added. Called with the point and the node it is now in.
+	* remove: A point was removed. Called with the point and the node it was in.
+	* move:   A point was moved with objectMoved. Called with the point and the node it is now in.
+	* split:  A leaf node was split into 4 subtrees. Called with the node.
+	* merge:  A node merged its subtrees and became a leaf node. Called with the node.
+	* 
+	* Nodes are given as plain objects, as described in 
+	* {{#crossLink "QuadTree/nodes:method"}}{{/crossLink}}. With typed array storage, points are
+	* given as ids. Handlers must not change the QuadTree.
+	* 
+	* @method on
+	* @param {String} name The name of the event.
+	* @param {Function} handler The function to call. this is the QuadTree.
+	* @return {QuadTree} This QuadTree.
+	*/
+	QuadTree.prototype.on = function (name, handler)
+	{
+		if (EVENTS.indexOf(name) < 0)
+			throw new Error("Unknown event \"" + name + "\"");
+		if (typeof handler !== "function")
+			throw new TypeError("handler must be a Function");
+		
+		if (this.listeners === null)
+		{
+			var listeners = { root: this };
+			EVENTS.forEach(function (event) { listeners[event] = []; });
+			shareListeners.call(this, listeners);
+		}
+		
+		this.listeners[name].push(handler);
+		return this;
+	}
+	
+	/**
+	* Stops a function registered with {{#crossLink "QuadTree/on:method"}}{{/crossLink}} from 
+	* being called.
+	* 
+	* @method off
+	* @param {String} name The name of the event.
+	* @param {Function} handler The function that was registered.
+	* @return {QuadTree} This QuadTree.
+	*/
+	QuadTree.prototype.off = function (name, handler)
+	{
+		if (EVENTS.indexOf(name) < 0)
+			throw new Error("Unknown event \"" + name + "\"");
+		
+		var listeners = this.listeners;
+		if (listeners === null)
+			return this;
+		
+		var i = listeners[name].indexOf(handler);
+		if (i >= 0)
+			listeners[name].splice(i, 1);
+		
+		//Back to not spending anything on events once nobody listens
+		if (EVENTS.every(function (event) { return listeners[event].length === 0; }))
+			shareListeners.call(this, null);
+		
+		return this;
+	}
+	
+	/**
+	* This function gives every node of this subtree the same event handlers.
+	* 
+	* @method shareListeners
+	* @param {Object} listeners The event handlers, or null for none.
+	* @private
+	*/
+	function shareListeners(listeners)
+	{
+		this.listeners = listeners;
+		
+		if (this.points === null)
+		{
+			shareListeners.call(this.topLeft, listeners);
+			shareListeners.call(this.topRight, listeners);
+			shareListeners.call(this.bottomLeft, listeners);
+			shareListeners.call(this.bottomRight, listeners);
+		}
+	}
+	
+	/**
+	* This function calls the handlers of an event.
+	* 
+	* @method emit
+	* @param {String} name The name of the event.
+	* @param {Object} first The first argument for the handlers.
+	* @param {Object} [second] The second argument for the handlers.
+	* @private
+	*/
+	function emit(name, first, second)
+	{
+		//Copied so handlers can call off
+		var handlers = this.listeners[name].slice(),
+		    root = this.listeners.root;
+		
+		for (var i = 0; i < handlers.length; i++)
+		{
+			handlers[i].call(root, first, second);
+		}
+	}
+	
+	/**
+	* This function finds the depth of this node from the root that shares its event handlers.
+	* 
+	* @method depthOf
+	* @return {Number} The depth, where the root is at depth 0.
+	* @private
+	*/
+	function depthOf()
+	{
+		return this.listeners.root.maxDepth - this.maxDepth;
+	}
+	
+	/**
+	* This function describes the node that holds an object, as 
+	* {{#crossLink "QuadTree/nodes:method"}}{{/crossLink}} does.
+	* 
+	* @method describeHolder
+	* @param {Object} bounds The bounds of the object, as returned by boundsOf.
+	* @return {Object} The description of the node.
+	* @private
+	*/
+	function describeHolder(bounds)
+	{
+		var node = this,
+		    depth = 0;
+		
+		while (node.points === null)
+		{
+			var child = childHolding.call(node, bounds);
+			if (child === null)
+				break;
+			
+			node = child;
+			depth++;
+		}
+		
+		return describeNode.call(node, depth);
+	}
+	
+	/**
+	* Calls a function for every point in the QuadTree. Subtrees are walked depth first, in the 
+	* order topLeft, topRight, bottomLeft, bottomRight. The QuadTree must not be changed while 
+	* this is running.
+	* 
+	* @method forEach
+	* @param {Function} callback 
+	*        Function that accepts one point object argument, or one id with typed array storage.
+	* @param {Object} [thisArg] The value of this when callback is called.
+	*/
+	QuadTree.prototype.forEach = function (callback, thisArg)
+	{
+		if (typeof callback !== "function")
+			throw new TypeError("callback must be a Function");
+		
+		var ids = this.store === null ? null : this.store.ids;
+		
+		function forEachPrivate()
+		{
+			var objects = this.points !== null ? this.points : this.straddling;
+			
+			if (objects !== null)
+			{
+				for (var i = 0; i < objects.length; i++)
+					callback.call(thisArg, ids === null ? objects[i] : ids[objects[i]]);
+			}
+			
+			if (this.points === null)
+			{
+				forEachPrivate.call(this.topLeft);
+				forEachPrivate.call(this.topRight);
+				forEachPrivate.call(this.bottomLeft);
+				forEachPrivate.call(this.bottomRight);
+			}
+		}
+		
+		forEachPrivate.call(this);
+	}
+	
+	/**
+	* Describes a node of the QuadTree without giving access to it.
+	* 
+	* @method describeNode
+	* @param {Number} depth The depth of the node, where the root is at depth 0.
+	* @return {Object} 
+	*         minX, minY, maxX, maxY: The bounds of the node.
+	*         depth:                  The depth of the node.
+	*         leaf:                   True if the node is a leaf node.
+	*         pointCount:             The number of points in the subtree.
+	* @private
 	*/
-	QuadTree.prototype.add = function (point)
+	function describeNode(depth)
 	{
-		//Point added.
-		this.pointCount++;
-		
-		if (this.points === null)
-		{
-			//Not a leaf node
-			distributePoint.call(this, point);
-		}
-		else
+		return {
+			minX: this.minX,
+			minY: this.minY,
+			maxX: this.maxX,
+			maxY: this.maxY,
+			depth: depth,
+			leaf: this.points !== null,
+			pointCount: this.pointCount
+		};
+	}
+	
+	/**
+	* An iterator that walks a QuadTree depth first, in the same order as 
+	* {{#crossLink "QuadTree/forEach:method"}}{{/crossLink}}.
+	* 
+	* @method TreeIterator
+	* @param {QuadTree} root The node to start at.
+	* @param {String} kind 
+	*        "values" to iterate over point objects, "entries" to iterate over [node, point] pairs
+	*        and "nodes" to iterate over the nodes themselves. Nodes are given as described by 
+	*        describeNode, and points as ids with typed array storage.
+	* @private
+	*/
+	function TreeIterator(root, kind)
+	{
+		this.kind = kind;
+		this.store = root.store;
+		this.stack = [{ node: root, depth: 0 }];
+		this.node = null;
+		this.objects = [];
+		this.index = 0;
+	}
+	
+	TreeIterator.prototype.next = function ()
+	{
+		while (this.index >= this.objects.length)
 		{
-			//Leaf node
-			this.points.push(point);
-
-			//Split up if we have too many points
-			if (shouldSubdivide.call(this))
+			if (this.stack.length === 0)
+				return { value: undefined, done: true };
+			
+			var item = this.stack.pop(),
+			    node = item.node;
+			
+			if (node.points === null)
 			{
-				subdivide.call(this);
+				//Pushed in reverse, so that topLeft comes off the stack first
+				this.stack.push({ node: node.bottomRight, depth: item.depth + 1 });
+				this.stack.push({ node: node.bottomLeft, depth: item.depth + 1 });
+				this.stack.push({ node: node.topRight, depth: item.depth + 1 });
+				this.stack.push({ node: node.topLeft, depth: item.depth + 1 });
 			}
+			
+			this.node = describeNode.call(node, item.depth);
+			this.index = 0;
+			
+			if (this.kind === "nodes")
+				return { value: this.node, done: false };
+			
+			this.objects = node.points !== null ? node.points : node.straddling || [];
 		}
+		
+		var object = this.objects[this.index++];
+		
+		if (this.store !== null)
+			object = this.store.ids[object];
+		
+		return { 
+			value: this.kind === "entries" ? [this.node, object] : object, 
+			done: false 
+		};
 	}
 	
 	/**
-	* Removes a point from the QuadTree
+	* Gets an iterator over every point in the QuadTree, in the same order as 
+	* {{#crossLink "QuadTree/forEach:method"}}{{/crossLink}}. This is also what iterating over the
+	* QuadTree itself (with for...of) does. The QuadTree must not be changed while iterating.
 	* 
-	* @method remove
-	* @param {Object} point The point to remove from the QuadTree
-	* @return {Boolean} True on success.
+	* @method values
+	* @return {Object} 
+	*         An iterator with a next method, giving point objects, or ids with typed array storage.
 	*/
-	QuadTree.prototype.remove = function (point)
+	QuadTree.prototype.values = function ()
 	{
-		//Cannot possibly have the object if it isn't in our boundaries!
-		if (!this.contains(point))
+		return new TreeIterator(this, "values");
+	}
+	
+	/**
+	* Gets an iterator over every point in the QuadTree along with the node holding it. That is 
+	* always a leaf node, except for rectangles that straddle a split in rectangle mode.
+	* 
+	* @method entries
+	* @return {Object} 
+	*         An iterator with a next method, giving [node, point] arrays. node is described as in
+	*         {{#crossLink "QuadTree/nodes:method"}}{{/crossLink}}. With typed array storage, point 
+	*         is an id.
+	*/
+	QuadTree.prototype.entries = function ()
+	{
+		return new TreeIterator(this, "entries");
+	}
+	
+	/**
+	* Gets an iterator over every node in the QuadTree, parents before their subtrees.
+	* 
+	* @method nodes
+	* @return {Object} 
+	*         An iterator with a next method, giving objects with these properties:
+	*         minX, minY, maxX, maxY: The bounds of the node.
+	*         depth:                  The depth of the node, where this node is at depth 0.
+	*         leaf:                   True if the node is a leaf node.
+	*         pointCount:             The number of points in the node and its subtrees.
+	*/
+	QuadTree.prototype.nodes = function ()
+	{
+		return new TreeIterator(this, "nodes");
+	}
+	
+	// Rough sizes used to estimate memory use, in bytes
+	var NODE_BYTES = 128,
+	    ARRAY_BYTES = 32,
+	    REFERENCE_BYTES = 8;
+	
+	/**
+	* Gets statistics about the shape of the QuadTree, for tuning upperThreshold, lowerThreshold
+	* and maxDepth. For example, many points at the same position end up in leaf nodes at maxDepth
+	* that hold more than upperThreshold points.
+	* 
+	* @method getStats
+	* @return {Object}
+	*         nodeCount:         Number of nodes, including this one.
+	*         leafCount:         Number of leaf nodes.
+	*         emptyLeafCount:    Number of leaf nodes without any points.
+	*         pointCount:        Number of points.
+	*         depth:             Depth of the deepest node, where this node is at depth 0.
+	*         depthHistogram:    Array of the number of nodes at each depth.
+	*         leafSizes:         Array of the number of leaf nodes holding each number of points.
+	*         maxLeafPoints:     Number of points in the fullest leaf node.
+	*         upperThreshold:    The upperThreshold, for comparison with maxLeafPoints.
+	*         overfullLeafCount: Number of leaf nodes holding more than upperThreshold points,
+	*                            which can only happen at maxDepth.
+	*         straddlingCount:   In rectangle mode, number of rectangles kept by nodes that are 
+	*                            not leaf nodes.
+	*         estimatedBytes:    Rough estimate of the memory used by the nodes and their arrays,
+	*                            not counting the point objects themselves.
+	*/
+	QuadTree.prototype.getStats = function ()
+	{
+		var stats = {
+			nodeCount: 0,
+			leafCount: 0,
+			emptyLeafCount: 0,
+			pointCount: this.pointCount,
+			depth: 0,
+			depthHistogram: [],
+			leafSizes: [],
+			maxLeafPoints: 0,
+			upperThreshold: this.upperThreshold,
+			overfullLeafCount: 0,
+			straddlingCount: 0,
+			estimatedBytes: 0
+		};
+		
+		function count(histogram, index)
 		{
-			return false;
+			while (histogram.length <= index)
+				histogram.push(0);
+			histogram[index]++;
 		}
 		
-		if (this.points === null)
+		function getStatsPrivate(depth)
 		{
-			//Remove the object
-			var removed =
-				this.topLeft.remove(point) || 
-				this.topRight.remove(point) || 
-				this.bottomLeft.remove(point) || 
-				this.bottomRight.remove(point);
+			stats.nodeCount++;
+			stats.estimatedBytes += NODE_BYTES;
+			stats.depth = Math.max(stats.depth, depth);
+			count(stats.depthHistogram, depth);
 			
-			//Were we successful?
-			if (removed)
+			if (this.points !== null)
 			{
-				this.pointCount--;
+				var size = this.points.length;
 				
-				if (this.pointCount < this.lowerThreshold)
-				{
-					merge.call(this);
-				}
+				stats.leafCount++;
+				stats.estimatedBytes += ARRAY_BYTES + size * REFERENCE_BYTES;
+				stats.maxLeafPoints = Math.max(stats.maxLeafPoints, size);
+				count(stats.leafSizes, size);
+				
+				if (size === 0)
+					stats.emptyLeafCount++;
+				if (size > this.upperThreshold)
+					stats.overfullLeafCount++;
+				return;
 			}
 			
-			return removed;
-		}
-		else
-		{
-			for (var i=0; i<this.points.length; i++)
+			if (this.straddling !== null)
 			{
-				if (this.points[i] === point)
-				{
-					this.points.splice(i,1);
-					return true;
-				}
+				stats.straddlingCount += this.straddling.length;
+				stats.estimatedBytes += ARRAY_BYTES + this.straddling.length * REFERENCE_BYTES;
 			}
-			return false;
+			
+			getStatsPrivate.call(this.topLeft, depth + 1);
+			getStatsPrivate.call(this.topRight, depth + 1);
+			getStatsPrivate.call(this.bottomLeft, depth + 1);
+			getStatsPrivate.call(this.bottomRight, depth + 1);
+		}
+		
+		getStatsPrivate.call(this, 0);
+		
+		if (this.store !== null)
+		{
+			stats.estimatedBytes += this.store.xs.byteLength 
+			                      + this.store.ys.byteLength 
+			                      + this.store.ids.byteLength;
 		}
+		
+		return stats;
 	}
 	
-	function squareDistance(x1, y1, x2, y2)
-	{
-		var dx = x1 - x2, 
-		    dy = y1 - y2;
-			
-		return dx * dx + dy * dy;
-	}
+	// How far from the middle of a node, as a fraction of its size, it may be split
+	var SPLIT_TOLERANCE = 1e-9;
 	
 	/**
-	* Gets the nearest points to an arbitrary point P
+	* Checks the QuadTree for corruption, for debugging. These things are checked for every node:
 	* 
-	* @method nearestPoint
-	* @param {Number} x X coordinate of P
-	* @param {Number} y Y coordinate of P
-	* @return {Object}
-	*         sqDistance: Square distance to nearest point object(s) to P.
-	*         points:     Array of all points exactly sqDistance away from P.
+	* - It is either a leaf node with points, or has 4 subtrees and no points.
+	* - Its subtrees are its 4 quarters, give or take rounding errors, with a maxDepth one less 
+	*   than its own.
+	* - Its pointCount is the number of points in it and its subtrees.
+	* - Its points are inside of it. Points kept by a node that is not a leaf node in rectangle 
+	*   mode must also not fit in any one of its subtrees.
+	* - As a leaf node, it does not hold more than upperThreshold points, unless it cannot be 
+	*   split or holds fewer than lowerThreshold points, as it can after merging. Otherwise, it 
+	*   does not hold fewer than lowerThreshold points, or fewer than upperThreshold + 1 points
+	*   if that is smaller.
+	* 
+	* @method validate
+	* @return {Array} 
+	*         The problems found, which is empty if there are none. Each is an object with these
+	*         properties:
+	*         message: Description of the problem.
+	*         node:    The node with the problem, described as in 
+	*                  {{#crossLink "QuadTree/nodes:method"}}{{/crossLink}}.
+	*         point:   The point object with the problem, if the problem is with a point.
 	*/
-	QuadTree.prototype.nearestPoint = function (x, y)
+	QuadTree.prototype.validate = function ()
 	{
-		function nearestPointPrivate(x, y, currentBest)
+		var violations = [];
+		
+		function validatePrivate(depth)
 		{
+			var node = describeNode.call(this, depth);
+			
+			function report(message, point)
+			{
+				var violation = { message: message, node: node };
+				if (point !== undefined)
+					violation.point = point;
+				violations.push(violation);
+			}
+			
+			var children = [this.topLeft, this.topRight, this.bottomLeft, this.bottomRight],
+			    childCount = children.filter(function (child) { return child !== null; }).length;
+			
 			if (this.points !== null)
 			{
-				// Leaf node! Search my points!
-				// No points case
-				if (this.points.length == 0)
+				if (childCount > 0)
+					report("Leaf node has subtrees");
+				if (this.straddling !== null)
+					report("Leaf node has straddling rectangles");
+				if (this.pointCount !== this.points.length)
 				{
-					return; // Nothing in this subtree, result does not change
+					report("pointCount is " + this.pointCount + " but the leaf node holds " 
+						+ this.points.length + " points");
 				}
-
-				// 1 or more points...
-				for (var i = 0; i < this.points.length; i++)
+				// Merging leaves a node holding fewer than lowerThreshold points, which can be
+				// more than upperThreshold
+				if (shouldSubdivide.call(this, this.points.length) 
+				    && this.points.length >= this.lowerThreshold)
 				{
-					var pointX = this.xAccessor(this.points[i]),
-					    pointY = this.yAccessor(this.points[i]);
-					
-					var sd = squareDistance(x, y, pointX, pointY);
-
-					if (sd < currentBest.sqDistance)
-					{
-						// If the distance to this point is less than the current best, 
-						// clear the set of closest points and add this one
-						currentBest.points.length = 0;
-						currentBest.points.push(this.points[i]);
-
-						currentBest.sqDistance = sd;
-					}
-					else if (sd == currentBest.sqDistance)
-					{
-						// If the distance to this point is the same as the current best, add it to 
-						// the set of closest points 
-						currentBest.points.push(this.points[i]);
-					}
+					report("Leaf node holds " + this.points.length + " points, more than the "
+						+ "upperThreshold of " + this.upperThreshold);
 				}
 				
-				currentBest.hits += this.points.length;
+				this.points.forEach(function (point)
+				{
+					if (!canHold.call(this, boundsOf.call(this, point)))
+						report("Point is outside of its node", point);
+				}, this);
+				
+				return this.points.length;
 			}
-			else
+			
+			if (childCount < 4)
 			{
-				var midX = (this.minX + this.maxX) / 2;
-				var midY = (this.minY + this.maxY) / 2;
-
-				var dx = midX - x;
-				var dy = midY - y;
-
-				dx *= dx;
-				dy *= dy;
-
-				if (y < midY)
+				report("Node has no points but only " + childCount + " subtrees");
+				return 0;
+			}
+			
+			// Positions are sent to the subtrees by where topLeft ends. After an expand, that can 
+			// be a rounding error away from the middle of the node.
+			var midX = this.topLeft.maxX,
+			    midY = this.topLeft.maxY,
+			    quarters = [
+			        [this.minX, this.minY, midX, midY],
+			        [midX, this.minY, this.maxX, midY],
+			        [this.minX, midY, midX, this.maxY],
+			        [midX, midY, this.maxX, this.maxY]
+			    ];
+			
+			var splitErrorX = Math.abs(midX - (this.minX + this.maxX) / 2),
+			    splitErrorY = Math.abs(midY - (this.minY + this.maxY) / 2);
+			
+			if (!(splitErrorX <= SPLIT_TOLERANCE * (this.maxX - this.minX))
+			    || !(splitErrorY <= SPLIT_TOLERANCE * (this.maxY - this.minY)))
+			{
+				report("Node is not split in the middle");
+			}
+			
+			var count = 0;
+			
+			if ((this.minXAccessor !== null) !== (this.straddling !== null))
+			{
+				report(this.straddling !== null 
+					? "Node has straddling rectangles outside of rectangle mode"
+					: "Node in rectangle mode has no straddling rectangles array");
+			}
+			
+			if (this.straddling !== null)
+			{
+				this.straddling.forEach(function (rectangle)
 				{
-					if (x < midX)
-					{
-						//Try Top-Left
-						nearestPointPrivate.call(this.topLeft, x, y, currentBest);
-
-						//Do we go into the topRight box?
-						if (currentBest.sqDistance >= dx)
-							nearestPointPrivate.call(this.topRight, x, y, currentBest);
-
-						//Do we go into the bottomLeft box?
-						if (currentBest.sqDistance >= dy)
-							nearestPointPrivate.call(this.bottomLeft, x, y, currentBest);
-
-						//Otherwise, do we go into the bottomRight?
-						if (currentBest.sqDistance >= dx + dy)
-							nearestPointPrivate.call(this.bottomRight, x, y, currentBest);
-					}
-					else
-					{
-						//Try Top-Right
-						nearestPointPrivate.call(this.topRight, x, y, currentBest);
-						
-						//Do we go into the topLeft box?
-						if (currentBest.sqDistance >= dx)
-							nearestPointPrivate.call(this.topLeft, x, y, currentBest);
-
-						//Do we go into the bottomRight box?
-						if (currentBest.sqDistance >= dy)
-							nearestPointPrivate.call(this.bottomRight, x, y, currentBest);
-
-						//Otherwise, do we go into the bottomLeft?
-						if (currentBest.sqDistance >= dx + dy)
-							nearestPointPrivate.call(this.bottomLeft, x, y, currentBest);
-					}
+					var bounds = boundsOf.call(this, rectangle);
+					
+					if (!canHold.call(this, bounds))
+						report("Rectangle is outside of its node", rectangle);
+					else if (childHolding.call(this, bounds) !== null)
+						report("Rectangle fits in a subtree but is kept by its parent", rectangle);
+				}, this);
+				
+				count += this.straddling.length;
+			}
+			
+			children.forEach(function (child, i)
+			{
+				if (child.minX !== quarters[i][0] || child.minY !== quarters[i][1] 
+				    || child.maxX !== quarters[i][2] || child.maxY !== quarters[i][3])
+				{
+					report("Subtree " + i + " is not a quarter of its parent");
 				}
-				else
+				
+				if (child.maxDepth !== this.maxDepth - 1)
 				{
-					if (x < midX)
-					{
-						//Try Bottom-Left
-						nearestPointPrivate.call(this.bottomLeft, x, y, currentBest);
-
-						//Do we go into the bottomRight box?
-						if (currentBest.sqDistance >= dx)
-							nearestPointPrivate.call(this.bottomRight, x, y, currentBest);
-
-						//Do we go into the topLeft box?
-						if (currentBest.sqDistance >= dy)
-							nearestPointPrivate.call(this.topLeft, x, y, currentBest);
-
-						//Otherwise, do we go into the topRight?
-						if (currentBest.sqDistance >= dx + dy)
-							nearestPointPrivate.call(this.topRight, x, y, currentBest);
-					}
-					else
-					{
-						//Try Bottom-Right
-						nearestPointPrivate.call(this.bottomRight, x, y, currentBest);
-
-						//Do we go into the bottomLeft box?
-						if (currentBest.sqDistance >= dx)
-							nearestPointPrivate.call(this.bottomLeft, x, y, currentBest);
-
-						//Do we go into the topRight box?
-						if (currentBest.sqDistance >= dy)
-							nearestPointPrivate.call(this.topRight, x, y, currentBest);
-
-						//Otherwise, do we go into the topLeft?
-						if (currentBest.sqDistance >= dx + dy)
-							nearestPointPrivate.call(this.topLeft, x, y, currentBest);
-					}
+					report("Subtree " + i + " has a maxDepth of " + child.maxDepth 
+						+ " instead of " + (this.maxDepth - 1));
 				}
+				
+				count += validatePrivate.call(child, depth + 1);
+			}, this);
+			
+			if (this.maxDepth <= 1)
+				report("Node is split beyond the maxDepth");
+			if (this.pointCount !== count)
+			{
+				report("pointCount is " + this.pointCount + " but the subtree holds " + count 
+					+ " points");
 			}
+			// A node is split once it holds more than upperThreshold points, but only merged once 
+			// it holds fewer than lowerThreshold, so it can be left holding whichever is smaller
+			if (count < Math.min(this.lowerThreshold, this.upperThreshold + 1))
+			{
+				report("Node holds " + count + " points, fewer than the lowerThreshold of " 
+					+ this.lowerThreshold + ", but is not a leaf node");
+			}
+			
+			return count;
 		}
-
-		var initial = {
-			sqDistance: Number.MAX_VALUE,
-			points: [],
-			hits: 0
-		}
-		nearestPointPrivate.call(this, x, y, initial);
-		return initial;
+		
+		validatePrivate.call(this, 0);
+		return violations;
 	}
 	
 	/**
-	* Checks if a point is inside this QuadTree
+	* Draws the QuadTree as a standalone SVG image, for explaining how it has been split up. Nodes 
+	* are drawn as rectangles coloured by their depth. This does not need a DOM, so it works in 
+	* Node.js too.
 	* 
-	* @method contains
-	* @param {Number|Object} pointOrX The point to remove from the QuadTree
-	* @param {Number} [y]
-    *        The y position of the point. If undefined, pointOrX is a point object. If defined, 
-	*        pointOrX must be a Number
-	* @return {Boolean} True if the point is inside
+	* @method toSVG
+	* @param {Object} [options]
+	* @param {Number} [options.width=512] 
+	*        The width of the image in pixels. The height follows from the shape of the QuadTree.
+	* @param {Boolean} [options.points=true] If false, the points are not drawn.
+	* @param {Number} [options.pointRadius=2] The radius of the points in pixels.
+	* @param {Object} [options.query]
+	*        A query to highlight, along with the points it finds. One of:
+	*        { type: "range", minX, minY, maxX, maxY }: A range query.
+	*        { type: "radius", x, y, r }:               A radius query.
+	*        { type: "nearest", x, y }:                 A nearest point query. The leaf nodes it
+	*                                                   searched are shaded.
+	* @return {String} The SVG image.
 	*/
-	QuadTree.prototype.contains = function (pointOrX, y)
+	QuadTree.prototype.toSVG = function (options)
 	{
-		var pointX, pointY;
+		options = options || {};
 		
-		if (y === undefined)
+		var width = options.width || 512,
+		    pointRadius = options.pointRadius || 2,
+		    query = options.query,
+		    scale = width / (this.maxX - this.minX),
+		    height = (this.maxY - this.minY) * scale,
+		    minX = this.minX,
+		    minY = this.minY,
+		    store = this.store,
+		    svg = [];
+		
+		if (!(scale > 0 && isFinite(scale) && height > 0 && isFinite(height)))
 		{
-			pointX = this.xAccessor(pointOrX);
-			pointY = this.yAccessor(pointOrX);
+			throw new Error("Cannot draw a QuadTree with no area");
 		}
-		else
+		
+		function number(n) { return Math.round(n * 100) / 100; }
+		function px(x) { return number((x - minX) * scale); }
+		function py(y) { return number((y - minY) * scale); }
+		
+		function box(bounds, style)
 		{
-			if (typeof pointOrX !== "number")
-				throw new TypeError("If y is defined, pointOrX must be a number");
-			pointX = pointOrX;
-			pointY = y;
+			svg.push("<rect x='" + px(bounds.minX) + "' y='" + py(bounds.minY) 
+				+ "' width='" + number((bounds.maxX - bounds.minX) * scale) 
+				+ "' height='" + number((bounds.maxY - bounds.minY) * scale) + "' " + style + "/>");
 		}
 		
-		return (pointX >= this.minX
-		    && pointX < this.maxX
-			&& pointY >= this.minY
-			&& pointY < this.maxY);
+		function drawObjects(objects, style)
+		{
+			objects.forEach(function (object)
+			{
+				if (this.minXAccessor !== null)
+				{
+					box(boundsOf.call(this, object), style);
+				}
+				else
+				{
+					svg.push("<circle cx='" + px(this.xAccessor(object)) + "' cy='" 
+						+ py(this.yAccessor(object)) + "' r='" + pointRadius + "' " + style + "/>");
+				}
+			}, this);
+		}
+		
+		//Queries give ids with typed array storage, so turn them back into rows
+		function toRows(points)
+		{
+			return store === null ? points : points.map(function (id) { return store.rows[id]; });
+		}
+		
+		var found = [], 
+		    searched = [];
+		
+		if (query)
+		{
+			if (query.type === "range")
+			{
+				found = this.queryRange(query.minX, query.minY, query.maxX, query.maxY);
+			}
+			else if (query.type === "radius")
+			{
+				found = this.queryRadius(query.x, query.y, query.r);
+			}
+			else if (query.type === "nearest")
+			{
+				var nearest = nearestPrivate.call(this, query.x, query.y, undefined, undefined, 
+				                                  searched);
+				found = nearest.points;
+			}
+			else
+			{
+				throw new Error("Unknown query type \"" + query.type + "\"");
+			}
+			
+			found = toRows(found);
+		}
+		
+		svg.push("<svg xmlns='http://www.w3.org/2000/svg' width='" + width + "' height='" 
+			+ number(height) + "' viewBox='0 0 " + width + " " + number(height) + "'>");
+		svg.push("<rect width='100%' height='100%' fill='white'/>");
+		
+		svg.push("<g class='searched' fill='#cde4f7' stroke='none'>");
+		searched.forEach(function (leaf) { box(leaf, ""); });
+		svg.push("</g>");
+		
+		svg.push("<g class='nodes' fill='none'>");
+		var it = this.nodes(), next;
+		while (!(next = it.next()).done)
+		{
+			var node = next.value;
+			box(node, "class='depth-" + node.depth + "' stroke='hsl(" + (node.depth * 47 % 360) 
+				+ ", 60%, 40%)' stroke-width='" + Math.max(2 - node.depth * 0.25, 0.5) + "'");
+		}
+		svg.push("</g>");
+		
+		if (options.points !== false)
+		{
+			var objects = [];
+			collectPoints.call(this, objects);
+			
+			svg.push("<g class='points'>");
+			drawObjects.call(this, objects, 
+				this.minXAccessor !== null ? "fill='none' stroke='#333'" : "fill='#333'");
+			svg.push("</g>");
+		}
+		
+		if (query)
+		{
+			var style = "fill='#e4572e' fill-opacity='0.15' stroke='#e4572e'";
+			
+			svg.push("<g class='query'>");
+			
+			if (query.type === "range")
+			{
+				box(query, style);
+			}
+			else if (query.type === "radius")
+			{
+				svg.push("<circle cx='" + px(query.x) + "' cy='" + py(query.y) + "' r='" 
+					+ number(query.r * scale) + "' " + style + "/>");
+			}
+			else
+			{
+				found.forEach(function (point)
+				{
+					svg.push("<line x1='" + px(query.x) + "' y1='" + py(query.y) + "' x2='" 
+						+ px(this.xAccessor(point)) + "' y2='" + py(this.yAccessor(point)) 
+						+ "' stroke='#e4572e'/>");
+				}, this);
+				svg.push("<circle cx='" + px(query.x) + "' cy='" + py(query.y) + "' r='" 
+					+ pointRadius * 2 + "' " + style + "/>");
+			}
+			
+			drawObjects.call(this, found, "class='found' fill='#e4572e' stroke='#e4572e'");
+			svg.push("</g>");
+		}
+		
+		svg.push("</svg>");
+		return svg.join("\n");
+	}
+	
+	if (typeof Symbol === "function" && Symbol.iterator)
+	{
+		QuadTree.prototype[Symbol.iterator] = QuadTree.prototype.values;
+		TreeIterator.prototype[Symbol.iterator] = function () { return this; };
+		NearestIterator.prototype[Symbol.iterator] = function () { return this; };
 	}
 	
 	return QuadTree;
@@ -33,6 +33,17 @@ function sortList(nearestResult)
 		return x.x - y.x == 0 ? x.y - y.y : x.x - y.x;
 	});	
 }
+
+function naiveRange(pointList, minX, minY, maxX, maxY, inclusive)
+{
+	return pointList.filter(function (p) {
+		if (p.x < minX || p.y < minY)
+			return false;
+		
+		return inclusive ? (p.x <= maxX && p.y <= maxY) : (p.x < maxX && p.y < maxY);
+	});
+}
+
 /*
 test( "quadtree continuous randomized test", function() {
 	var d = 1000; //Dimension
@@ -159,16 +170,93 @@ test( "quadtree basic test", function() {
 });
 
 
-test( "quadtree nearest neighbour time test", function() {
-	expect(0);
+test( "quadtree range query test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	for (var i=0; i<q; i++)
+	{
+		var x1 = Math.floor(Math.random() * d),
+			y1 = Math.floor(Math.random() * d),
+			x2 = x1 + Math.floor(Math.random() * (d - x1)),
+			y2 = y1 + Math.floor(Math.random() * (d - y1)),
+			inclusive = i % 2 == 0;
+		
+		var range = { points: qt.queryRange(x1, y1, x2, y2, inclusive) };
+		var naive = { points: naiveRange(pointList, x1, y1, x2, y2, inclusive) };
+		
+		sortList(range);
+		sortList(naive);
+		
+		deepEqual(range, naive, "Range query must equal naive filter");
+	}
+});
+
+
+test( "quadtree k nearest test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
 	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d),
+			k = 1 + Math.floor(Math.random() * 20);
+			
+		var nearest = qt.kNearest(x, y, k);
+		var naive = pointList.map(function (p) {
+			return (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y);
+		}).sort(function (a, b) { return a - b; }).slice(0, k);
+		
+		deepEqual(nearest.sqDistances, naive, "k nearest distances must equal naive implementation");
+		ok(nearest.points.every(function (p, j) {
+			return (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y) === nearest.sqDistances[j];
+		}), "Each point must be at its reported distance");
+	}
+	
+	deepEqual(qt.kNearest(50, 50, 0).points, [], "k of 0 finds nothing");
+	equal(qt.kNearest(50, 50, a + 10).points.length, a, "k larger than the tree finds everything");
+});
+
+
+test( "quadtree object moved test", function() {
 	var d = 100; //Dimension
-	var a = 1000000; //Number of points to add
+	var a = 2000; //Number of points to add
+	var m = 5000; //Number of moves
 	var r = 500; //Number of points to remove
-	var q = 1000; //Number of test queries
+	var q = 200; //Number of test queries
 	
 	var qt = new Craxic.QuadTree(0, 0, d, d);
-	qt.maxDepth = 6;
 	var pointList = [];
 	
 	for (var i=0; i<a; i++)
@@ -182,33 +270,114 @@ test( "quadtree nearest neighbour time test", function() {
 		qt.add(point);
 	}
 	
+	for (var i=0; i<m; i++)
+	{
+		var point = pointList[Math.floor(Math.random() * a)],
+			oldX = point.x,
+			oldY = point.y;
+		
+		// Mostly small steps, sometimes a jump across the tree
+		if (i % 10 == 0)
+		{
+			point.x = Math.floor(Math.random() * d);
+			point.y = Math.floor(Math.random() * d);
+		}
+		else
+		{
+			point.x = Math.min(d - 1, Math.max(0, point.x + Math.floor(Math.random() * 3) - 1));
+			point.y = Math.min(d - 1, Math.max(0, point.y + Math.floor(Math.random() * 3) - 1));
+		}
+		
+		ok(qt.objectMoved(point, oldX, oldY), "Moved point must be found");
+	}
+	
 	for (var j=0; j<r; j++)
 	{
-		qt.remove(pointList[j]);
+		ok(qt.remove(pointList[j]), "Moved point must be removable");
 	}
 	
 	pointList.splice(0, r);
 	
+	ok(!qt.objectMoved({ x: 1, y: 1 }, 1, 1), "Unknown point must not be found");
+	
 	for (var i=0; i<q; i++)
 	{
 		var x = Math.floor(Math.random() * d),
 			y = Math.floor(Math.random() * d);
 			
 		var nearest = qt.nearestPoint(x,y);
+		var naive = naiveSearch(pointList, x, y);
 		
 		sortList(nearest);
+		sortList(naive);
+		delete nearest.hits;
+		
+		deepEqual(nearest, naive, "Naive implementation must equal QuadTree implementation");
 	}
+	
+	equal(qt.queryRange(0, 0, d, d).length, pointList.length, "No points may be lost");
+	
+	var escaped = pointList[0],
+		escapedX = escaped.x,
+		escapedY = escaped.y;
+	
+	escaped.x = d + 10;
+	throws(function () { qt.objectMoved(escaped, escapedX, escapedY); },
+		"Moving a point out of bounds throws");
+	
+	escaped.x = escapedX;
+	deepEqual(qt.validate(), [], "Moving a point out of bounds leaves the QuadTree valid");
+	ok(qt.queryRange(escapedX, escapedY, escapedX + 1, escapedY + 1).indexOf(escaped) >= 0,
+		"The point is still held at its old position");
+	equal(qt.queryRange(0, 0, d, d).length, pointList.length,
+		"Moving a point out of bounds loses nothing");
 });
 
 
-test( "naive nearest neighbour time test", function() {
-	expect(0);
+test( "quadtree radius query test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d),
+			r = Math.floor(Math.random() * d / 4);
+		
+		var radius = { points: qt.queryRadius(x, y, r) };
+		var naive = { points: pointList.filter(function (p) {
+			return (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y) <= r * r;
+		}) };
+		
+		sortList(radius);
+		sortList(naive);
+		
+		deepEqual(radius, naive, "Radius query must equal naive filter");
+	}
+});
 
+
+test( "quadtree bounded nearest neighbour test", function() {
 	var d = 100; //Dimension
-	var a = 1000000; //Number of points to add
-	var r = 500; //Number of points to remove
-	var q = 1000; //Number of test queries
+	var a = 500; //Number of points to add
+	var q = 200; //Number of test queries
 	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
 	var pointList = [];
 	
 	for (var i=0; i<a; i++)
@@ -219,17 +388,1583 @@ test( "naive nearest neighbour time test", function() {
 		};
 		
 		pointList.push(point);
+		qt.add(point);
 	}
 	
-	pointList.splice(0, r);
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d),
+			r = Math.floor(Math.random() * 10);
+			
+		var nearest = qt.nearestPoint(x, y, r);
+		var naive = naiveSearch(pointList, x, y);
+		
+		if (naive.sqDistance > r * r)
+			naive = { sqDistance: Number.MAX_VALUE, points: [] };
+		
+		sortList(nearest);
+		sortList(naive);
+		delete nearest.hits;
+		
+		deepEqual(nearest, naive, "Bounded search must equal naive implementation within range");
+	}
+	
+	equal(qt.nearestPoint(-1000, -1000, 10).hits, 0, "Nothing is searched when out of range");
+	deepEqual(qt.nearestPoint(pointList[0].x, pointList[0].y, -1), 
+		{ sqDistance: Number.MAX_VALUE, points: [], hits: 0 }, 
+		"A negative maxDistance finds nothing");
+});
+
+
+test( "quadtree predicate nearest neighbour test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d),
+			team: i % 5
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	function isEnemy(p) { return p.team == 0; }
 	
 	for (var i=0; i<q; i++)
 	{
 		var x = Math.floor(Math.random() * d),
 			y = Math.floor(Math.random() * d);
 			
-		var nearest = naiveSearch(pointList, x,y);
+		var nearest = qt.nearestMatching(x, y, isEnemy);
+		var naive = naiveSearch(pointList.filter(isEnemy), x, y);
+		
+		sortList(nearest);
+		sortList(naive);
+		delete nearest.hits;
+		
+		deepEqual(nearest, naive, "Filtered search must equal naive implementation");
+	}
+	
+	deepEqual(qt.nearestMatching(50, 50, function () { return false; }).points, [], 
+		"Nothing matches");
+});
+
+
+test( "quadtree auto expand test", function() {
+	var d = 1000; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, 10, 10, { autoExpand: true });
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		// Spread further and further out from the original bounds
+		var spread = d * (i + 1) / a;
+		var point = {
+			x: Math.floor((Math.random() - 0.5) * spread),
+			y: Math.floor((Math.random() - 0.5) * spread)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	ok(pointList.every(function (p) { return qt.contains(p); }), "Every point must be in bounds");
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor((Math.random() - 0.5) * d),
+			y = Math.floor((Math.random() - 0.5) * d);
+			
+		var nearest = qt.nearestPoint(x,y);
+		var naive = naiveSearch(pointList, x, y);
 		
 		sortList(nearest);
+		sortList(naive);
+		delete nearest.hits;
+		
+		deepEqual(nearest, naive, "Naive implementation must equal QuadTree implementation");
+	}
+	
+	var fixed = new Craxic.QuadTree(0, 0, 10, 10, { upperThreshold: 1 });
+	fixed.add({ x: 1, y: 1 });
+	fixed.add({ x: 9, y: 9 });
+	throws(function () { fixed.add({ x: 20, y: 20 }); }, "Only expands when asked to");
+});
+
+
+test( "quadtree bulk load test", function() {
+	var d = 100; //Dimension
+	var a = 5000; //Number of points to add
+	
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		pointList.push({
+			x: Math.floor(Math.random() * d),
+			y: Math.random() * d
+		});
+	}
+	
+	function layout(quad)
+	{
+		if (quad.points === null)
+		{
+			return [quad.pointCount, 
+			        layout(quad.topLeft), layout(quad.topRight), 
+			        layout(quad.bottomLeft), layout(quad.bottomRight)];
+		}
+		return quad.points.map(function (p) { return pointList.indexOf(p); });
 	}
-});
\ No newline at end of file
+	
+	var bulk = Craxic.QuadTree.fromPoints(pointList, { maxDepth: 8 });
+	var incremental = new Craxic.QuadTree(bulk.minX, bulk.minY, bulk.maxX, bulk.maxY, { maxDepth: 8 });
+	
+	pointList.forEach(function (p) {
+		incremental.add(p);
+	});
+	
+	ok(pointList.every(function (p) { return bulk.contains(p); }), "Every point must be in bounds");
+	deepEqual(layout(bulk), layout(incremental), "Bulk loading must equal incremental inserts");
+	
+	var configured = new Craxic.QuadTree(0, 0, d, d, { points: pointList });
+	equal(configured.queryRange(0, 0, d, d).length, a, "config.points must all be added");
+	
+	throws(function () { Craxic.QuadTree.fromPoints([]); }, "Empty point sets have no bounds");
+});
+
+
+test( "quadtree rectangle mode test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of rectangles to add
+	var r = 500; //Number of rectangles to remove
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d, {
+		minXAccessor: function (b) { return b.x; },
+		minYAccessor: function (b) { return b.y; },
+		maxXAccessor: function (b) { return b.x + b.w; },
+		maxYAccessor: function (b) { return b.y + b.h; }
+	});
+	var boxList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var box = {
+			x: Math.floor(Math.random() * d * 0.9),
+			y: Math.floor(Math.random() * d * 0.9),
+			w: Math.floor(Math.random() * d * 0.1),
+			h: Math.floor(Math.random() * d * 0.1)
+		};
+		
+		boxList.push(box);
+		qt.add(box);
+	}
+	
+	for (var j=0; j<r; j++)
+	{
+		ok(qt.remove(boxList[j]), "Rectangle must be removable");
+	}
+	
+	boxList.splice(0, r);
+	
+	function byIndex(a, b) { return boxList.indexOf(a) - boxList.indexOf(b); }
+	
+	for (var i=0; i<q; i++)
+	{
+		var x1 = Math.floor(Math.random() * d),
+			y1 = Math.floor(Math.random() * d),
+			x2 = x1 + Math.floor(Math.random() * (d - x1) / 4),
+			y2 = y1 + Math.floor(Math.random() * (d - y1) / 4);
+		
+		var range = qt.queryRange(x1, y1, x2, y2, true);
+		var naive = boxList.filter(function (b) {
+			return b.x <= x2 && b.x + b.w >= x1 && b.y <= y2 && b.y + b.h >= y1;
+		});
+		
+		deepEqual(range.sort(byIndex), naive, "Range query must equal naive intersection");
+		
+		var stab = qt.queryPoint(x1, y1);
+		var naiveStab = boxList.filter(function (b) {
+			return b.x <= x1 && b.x + b.w >= x1 && b.y <= y1 && b.y + b.h >= y1;
+		});
+		
+		deepEqual(stab.sort(byIndex), naiveStab, "Point query must equal naive containment");
+	}
+	
+	throws(function () { qt.add({ x: 95, y: 95, w: 10, h: 10 }); }, "Rectangles must be in bounds");
+	throws(function () { qt.nearestPoint(50, 50); }, "Nearest point needs points");
+});
+
+
+test( "quadtree loose mode test", function() {
+	var d = 100; //Dimension
+	var a = 1000; //Number of rectangles to add
+	var m = 5000; //Number of moves
+	var q = 200; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d, {
+		minXAccessor: function (b) { return b.x; },
+		minYAccessor: function (b) { return b.y; },
+		maxXAccessor: function (b) { return b.x + b.w; },
+		maxYAccessor: function (b) { return b.y + b.h; },
+		looseness: 2
+	});
+	var boxList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var box = {
+			x: Math.random() * d * 0.9,
+			y: Math.random() * d * 0.9,
+			w: Math.random() * d * 0.1,
+			h: Math.random() * d * 0.1
+		};
+		
+		boxList.push(box);
+		qt.add(box);
+	}
+	
+	var moved = true;
+	for (var j=0; j<m; j++)
+	{
+		var box = boxList[j % a], oldX = box.x, oldY = box.y;
+		box.x = Math.min(Math.max(box.x + Math.random() * 4 - 2, 0), d * 0.9);
+		box.y = Math.min(Math.max(box.y + Math.random() * 4 - 2, 0), d * 0.9);
+		moved = qt.objectMoved(box, oldX, oldY, oldX + box.w, oldY + box.h) && moved;
+	}
+	ok(moved, "Moved rectangles must be found");
+	equal(qt.pointCount, a, "Moving must not change the number of rectangles");
+	
+	function byIndex(a, b) { return boxList.indexOf(a) - boxList.indexOf(b); }
+	
+	for (var i=0; i<q; i++)
+	{
+		var x1 = Math.random() * d,
+			y1 = Math.random() * d,
+			x2 = x1 + Math.random() * (d - x1) / 4,
+			y2 = y1 + Math.random() * (d - y1) / 4;
+		
+		var range = qt.queryRange(x1, y1, x2, y2, true);
+		var naive = boxList.filter(function (b) {
+			return b.x <= x2 && b.x + b.w >= x1 && b.y <= y2 && b.y + b.h >= y1;
+		});
+		
+		deepEqual(range.sort(byIndex), naive, "Range query must equal naive intersection");
+		
+		var stab = qt.queryPoint(x1, y1);
+		var naiveStab = boxList.filter(function (b) {
+			return b.x <= x1 && b.x + b.w >= x1 && b.y <= y1 && b.y + b.h >= y1;
+		});
+		
+		deepEqual(stab.sort(byIndex), naiveStab, "Point query must equal naive containment");
+	}
+	
+	var removed = true;
+	for (var j=0; j<a; j++)
+	{
+		removed = qt.remove(boxList[j]) && removed;
+	}
+	ok(removed, "Every rectangle must be removable");
+	equal(qt.pointCount, 0, "The QuadTree must be empty");
+	
+	throws(function () { new Craxic.QuadTree(0, 0, d, d, { looseness: 2 }); }, 
+		"Looseness needs rectangle mode");
+	throws(function () { 
+		new Craxic.QuadTree(0, 0, d, d, {
+			minXAccessor: function (b) { return b.x; },
+			minYAccessor: function (b) { return b.y; },
+			maxXAccessor: function (b) { return b.x + b.w; },
+			maxYAccessor: function (b) { return b.y + b.h; },
+			looseness: 0.5
+		});
+	}, "Looseness must be at least 1");
+});
+
+
+test( "quadtree metric test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 100; //Number of test queries per metric
+	
+	var metrics = {
+		manhattan: function (dx, dy) { return dx + dy; },
+		chebyshev: function (dx, dy) { return Math.max(dx, dy); },
+		weighted: function (dx, dy) { return dx + 3 * dy; }
+	};
+	
+	var weighted = {
+		distance: function (x1, y1, x2, y2) 
+		{
+			return Math.abs(x1 - x2) + 3 * Math.abs(y1 - y2);
+		},
+		boxDistance: function (x, y, minX, minY, maxX, maxY) 
+		{
+			return Math.max(minX - x, 0, x - maxX) + 3 * Math.max(minY - y, 0, y - maxY);
+		}
+	};
+	
+	function distanceTo(metric, x, y)
+	{
+		return function (p) { return metric(Math.abs(p.x - x), Math.abs(p.y - y)); };
+	}
+	
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		pointList.push({
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		});
+	}
+	
+	for (var name in metrics)
+	{
+		var metric = metrics[name];
+		var qt = new Craxic.QuadTree(0, 0, d, d, { 
+			metric: name === "weighted" ? weighted : name, 
+			points: pointList 
+		});
+		
+		for (var i=0; i<q; i++)
+		{
+			var x = Math.floor(Math.random() * d),
+				y = Math.floor(Math.random() * d),
+				k = 1 + Math.floor(Math.random() * 20),
+				r = Math.floor(Math.random() * d / 4);
+			
+			var distances = pointList.map(distanceTo(metric, x, y));
+			var best = Math.min.apply(Math, distances);
+			
+			var nearest = qt.nearestPoint(x, y);
+			var naive = { points: pointList.filter(function (p, j) { return distances[j] === best; }) };
+			
+			equal(nearest.sqDistance, best * best, name + " nearest distance must equal naive");
+			sortList(nearest);
+			sortList(naive);
+			deepEqual(nearest.points, naive.points, name + " nearest points must equal naive");
+			
+			var kNearest = qt.kNearest(x, y, k);
+			var naiveK = distances.slice().sort(function (a, b) { return a - b; }).slice(0, k);
+			
+			deepEqual(kNearest.sqDistances, naiveK.map(function (v) { return v * v; }), 
+				name + " k nearest distances must equal naive");
+			
+			var radius = { points: qt.queryRadius(x, y, r) };
+			var naiveRadius = { points: pointList.filter(function (p, j) { return distances[j] <= r; }) };
+			
+			sortList(radius);
+			sortList(naiveRadius);
+			deepEqual(radius, naiveRadius, name + " radius query must equal naive filter");
+		}
+	}
+	
+	throws(function () { new Craxic.QuadTree(0, 0, d, d, { metric: "taxicab" }); }, 
+		"Unknown metrics are rejected");
+	throws(function () { new Craxic.QuadTree(0, 0, d, d, { metric: { distance: Math.abs } }); }, 
+		"Custom metrics need a box distance");
+});
+
+
+test( "quadtree geographic mode test", function() {
+	var a = 2000; //Number of points to add
+	var q = 100; //Number of test queries
+	
+	function distance(p, x, y)
+	{
+		var rad = Math.PI / 180,
+			dLat = Math.sin((p.y - y) * rad / 2),
+			dLon = Math.sin((p.x - x) * rad / 2);
+		var h = dLat * dLat + Math.cos(p.y * rad) * Math.cos(y * rad) * dLon * dLon;
+		
+		return 2 * 6371008.8 * Math.asin(Math.sqrt(Math.min(h, 1)));
+	}
+	
+	var qt = new Craxic.QuadTree(-180, -90, 180, 90, { geographic: true });
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.random() * 360 - 180,
+			y: Math.random() * 180 - 90
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	function sortByIndex(a, b) { return pointList.indexOf(a) - pointList.indexOf(b); }
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.random() * 360 - 180,
+			y = Math.random() * 180 - 90,
+			r = Math.random() * 2000000;
+		
+		var distances = pointList.map(function (p) { return distance(p, x, y); });
+		var best = Math.min.apply(Math, distances);
+		
+		var nearest = qt.nearestPoint(x, y);
+		strictEqual(nearest.points[0], pointList[distances.indexOf(best)], 
+			"Nearest point must equal naive implementation");
+		ok(Math.abs(Math.sqrt(nearest.sqDistance) - best) < 1e-3, "Distance must be in meters");
+		
+		var radius = qt.queryRadius(x, y, r);
+		var naive = pointList.filter(function (p, j) { return distances[j] <= r; });
+		
+		deepEqual(radius.sort(sortByIndex), naive, "Radius query must equal naive filter");
+	}
+	
+	var east = { x: 179.9, y: 10 }, west = { x: -179.9, y: 10 }, near = { x: 175, y: 10 };
+	qt = new Craxic.QuadTree(-180, -90, 180, 90, { geographic: true, points: [east, west, near] });
+	
+	strictEqual(qt.nearestPoint(-179.95, 10).points[0], west, "Nearest point on the same side");
+	deepEqual(qt.kNearest(179.95, 10, 2).points, [east, west], "Nearest points wrap around");
+	deepEqual(qt.queryRadius(-179.99, 10, 50000).sort(function (a, b) { return a.x - b.x; }), 
+		[west, east], "Radius query wraps around");
+	deepEqual(qt.queryRange(179, 0, -179, 20).sort(function (a, b) { return a.x - b.x; }), 
+		[west, east], "Range query wraps around");
+	deepEqual(qt.queryRange(170, 0, 179, 20), [near], "Range query without wrapping");
+	
+	throws(function () {
+		new Craxic.QuadTree(-180, -90, 180, 90, { geographic: true, metric: "manhattan" });
+	}, "Another metric cannot be given in geographic mode");
+	ok(new Craxic.QuadTree(-180, -90, 180, 90, { geographic: true, metric: "haversine" }), 
+		"The haversine metric can be given in geographic mode");
+});
+
+
+test( "quadtree iteration test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	function sortByIndex(a, b) { return pointList.indexOf(a) - pointList.indexOf(b); }
+	
+	var visited = [];
+	qt.forEach(function (p) { visited.push(p); });
+	deepEqual(visited.slice().sort(sortByIndex), pointList, "forEach must visit every point once");
+	
+	var values = [], entries = [], it = qt.values(), next;
+	while (!(next = it.next()).done)
+		values.push(next.value);
+	deepEqual(values, visited, "values must give the same points in the same order");
+	
+	it = qt.entries();
+	while (!(next = it.next()).done)
+		entries.push(next.value);
+	deepEqual(entries.map(function (e) { return e[1]; }), visited, "entries must give every point");
+	ok(entries.every(function (e) {
+		var node = e[0], p = e[1];
+		return node.leaf && p.x >= node.minX && p.x < node.maxX && p.y >= node.minY && p.y < node.maxY;
+	}), "Every point must be inside the leaf node it is given with");
+	
+	var nodes = [], leafCount = 0;
+	it = qt.nodes();
+	while (!(next = it.next()).done)
+		nodes.push(next.value);
+	
+	deepEqual([nodes[0].minX, nodes[0].minY, nodes[0].maxX, nodes[0].maxY, nodes[0].depth], 
+		[0, 0, d, d, 0], "The root comes first");
+	equal(nodes[0].pointCount, a, "The root holds every point");
+	equal(nodes.filter(function (n) { return n.leaf; }).reduce(function (sum, n) {
+		return sum + n.pointCount;
+	}, 0), a, "The leaf nodes hold every point");
+	ok(nodes.every(function (n) { return n.depth <= qt.maxDepth; }), "Nodes are within maxDepth");
+	
+	if (typeof Symbol === "function" && Symbol.iterator)
+	{
+		var iterated = [];
+		it = qt[Symbol.iterator]();
+		while (!(next = it.next()).done)
+			iterated.push(next.value);
+		deepEqual(iterated, visited, "The QuadTree must be iterable");
+		strictEqual(it[Symbol.iterator](), it, "Iterators must be iterable");
+	}
+	
+	var boxes = [{ x: 10, y: 10, w: 5, h: 5 }, { x: 45, y: 45, w: 10, h: 10 }];
+	var rectangles = new Craxic.QuadTree(0, 0, d, d, {
+		minXAccessor: function (b) { return b.x; },
+		minYAccessor: function (b) { return b.y; },
+		maxXAccessor: function (b) { return b.x + b.w; },
+		maxYAccessor: function (b) { return b.y + b.h; },
+		upperThreshold: 1,
+		points: boxes
+	});
+	
+	visited = [];
+	rectangles.forEach(function (b) { visited.push(b); });
+	deepEqual(visited, [boxes[1], boxes[0]], "Rectangles straddling a split come first");
+});
+
+
+test( "quadtree nearest iterator test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var q = 50; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d);
+		
+		var it = qt.nearestIterator(x, y), next, points = [], sqDistances = [];
+		while (!(next = it.next()).done)
+		{
+			points.push(next.value);
+			sqDistances.push(it.sqDistance);
+		}
+		
+		var naive = pointList.map(function (p) {
+			return (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y);
+		}).sort(function (a, b) { return a - b; });
+		
+		deepEqual(sqDistances, naive, "Points must come in order of distance");
+		ok(points.every(function (p, j) {
+			return (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y) === sqDistances[j];
+		}), "Each point must be at its reported distance");
+		equal(it.hits, a, "Every point is examined by the end");
+		
+		var nearest = qt.nearestPoint(x, y);
+		it = qt.nearestIterator(x, y);
+		ok(nearest.points.indexOf(it.next().value) >= 0, "The first point must be a nearest point");
+		ok(it.hits < a, "Stopping early does not search the whole QuadTree");
+	}
+	
+	ok(new Craxic.QuadTree(0, 0, d, d).nearestIterator(50, 50).next().done, "Empty QuadTree");
+});
+
+
+test( "quadtree JSON test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var r = 500; //Number of points to remove
+	var q = 50; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d, { upperThreshold: 6, lowerThreshold: 2, maxDepth: 8 });
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	for (var j=0; j<r; j++)
+	{
+		qt.remove(pointList[j]);
+	}
+	
+	pointList.splice(0, r);
+	
+	var json = JSON.stringify(qt);
+	var restored = Craxic.QuadTree.fromJSON(json);
+	
+	equal(JSON.stringify(restored), json, "The restored QuadTree must be identical");
+	equal(restored.pointCount, qt.pointCount, "The restored QuadTree must have every point");
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d);
+		
+		var nearest = qt.nearestPoint(x, y);
+		var restoredNearest = restored.nearestPoint(x, y);
+		
+		sortList(nearest);
+		sortList(restoredNearest);
+		
+		deepEqual(restoredNearest, nearest, "The restored QuadTree must find the same points");
+	}
+	
+	var arrays = qt.toJSON(function (p) { return [p.x, p.y]; });
+	restored = Craxic.QuadTree.fromJSON(arrays, {
+		xAccessor: function (p) { return p[0]; },
+		yAccessor: function (p) { return p[1]; }
+	});
+	deepEqual(restored.toJSON(), arrays, "Points can be stored in another form");
+	
+	restored = Craxic.QuadTree.fromJSON(arrays, {}, function (p) { return { x: p[0], y: p[1] }; });
+	deepEqual(restored.toJSON(), JSON.parse(json), "Points can be restored from another form");
+	restored.add({ x: 1, y: 1 });
+	equal(restored.pointCount, qt.pointCount + 1, "The restored QuadTree can still change");
+	
+	var boxes = [{ x: 10, y: 10, w: 5, h: 5 }, { x: 45, y: 45, w: 10, h: 10 }];
+	var rectangleConfig = {
+		minXAccessor: function (b) { return b.x; },
+		minYAccessor: function (b) { return b.y; },
+		maxXAccessor: function (b) { return b.x + b.w; },
+		maxYAccessor: function (b) { return b.y + b.h; },
+		upperThreshold: 1
+	};
+	var rectangles = new Craxic.QuadTree(0, 0, d, d, rectangleConfig);
+	boxes.forEach(function (b) { rectangles.add(b); });
+	
+	json = JSON.stringify(rectangles);
+	equal(JSON.stringify(Craxic.QuadTree.fromJSON(json, rectangleConfig)), json, 
+		"Rectangle mode QuadTrees can be restored");
+	throws(function () { Craxic.QuadTree.fromJSON(json); }, "Rectangle mode needs accessors");
+	throws(function () { Craxic.QuadTree.fromJSON({}); }, "Bad data is rejected");
+	
+	json = JSON.stringify(new Craxic.QuadTree(0, 0, d, d, { metric: "manhattan" }));
+	equal(JSON.stringify(Craxic.QuadTree.fromJSON(json, { metric: "manhattan" })), json, 
+		"The same built in metric can be given again");
+	throws(function () { Craxic.QuadTree.fromJSON(json, { metric: "chebyshev" }); }, 
+		"A different metric cannot be given");
+	
+	var custom = { 
+		distance: function () { return 0; }, 
+		boxDistance: function () { return 0; } 
+	};
+	json = JSON.stringify(new Craxic.QuadTree(0, 0, d, d, { metric: custom }));
+	strictEqual(Craxic.QuadTree.fromJSON(json, { metric: custom }).metric, custom, 
+		"A custom metric comes from config");
+	throws(function () { Craxic.QuadTree.fromJSON(json); }, "A custom metric must be given");
+});
+
+
+test( "quadtree typed array storage test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var r = 500; //Number of points to remove
+	var q = 100; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d, { typedArrays: true });
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			id: i * 3,
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point.id, point.x, point.y);
+	}
+	
+	for (var j=0; j<r; j++)
+	{
+		ok(qt.remove(pointList[j].id), "Point must be removable by id");
+	}
+	
+	ok(!qt.remove(pointList[0].id), "Removed points are gone");
+	pointList.splice(0, r);
+	
+	//Added into the rows freed by removing
+	for (var i=0; i<r; i++)
+	{
+		var point = {
+			id: a * 3 + i,
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point.id, point.x, point.y);
+	}
+	
+	function idsOf(points) 
+	{
+		return points.map(function (p) { return p.id; }).sort(function (a, b) { return a - b; });
+	}
+	
+	function byId(a, b) { return a - b; }
+	
+	var restored = Craxic.QuadTree.fromArrayBuffer(qt.toArrayBuffer());
+	equal(restored.pointCount, pointList.length, "Every point must be restored");
+	
+	[qt, restored].forEach(function (tree) {
+		for (var i=0; i<q; i++)
+		{
+			var x = Math.floor(Math.random() * d),
+				y = Math.floor(Math.random() * d),
+				x2 = x + Math.floor(Math.random() * (d - x) / 4),
+				y2 = y + Math.floor(Math.random() * (d - y) / 4);
+			
+			var nearest = tree.nearestPoint(x, y);
+			var naive = naiveSearch(pointList, x, y);
+			
+			equal(nearest.sqDistance, naive.sqDistance, "Nearest distance must equal naive");
+			deepEqual(nearest.points.sort(byId), idsOf(naive.points), "Nearest must give ids");
+			deepEqual(tree.queryRange(x, y, x2, y2).sort(byId), 
+				idsOf(naiveRange(pointList, x, y, x2, y2)), "Range query must give ids");
+		}
+	});
+	
+	var even = qt.nearestMatching(50, 50, function (id) { return id % 2 === 0; });
+	ok(even.points.length > 0 && even.points.every(function (id) { return id % 2 === 0; }), 
+		"Predicates are given ids");
+	
+	var visited = [];
+	qt.forEach(function (id) { visited.push(id); });
+	deepEqual(visited.sort(byId), idsOf(pointList), "forEach must give ids");
+	
+	var iterated = [], entryIds = [], it = qt.values(), entries = qt.entries(), next;
+	while (!(next = it.next()).done)
+		iterated.push(next.value);
+	while (!(next = entries.next()).done)
+		entryIds.push(next.value[1]);
+	deepEqual(iterated.sort(byId), idsOf(pointList), "values must give ids");
+	deepEqual(entryIds.sort(byId), idsOf(pointList), "entries must give ids");
+	
+	var closest = qt.nearestIterator(50, 50), naiveOrder = pointList.map(function (p) {
+		return (p.x - 50) * (p.x - 50) + (p.y - 50) * (p.y - 50);
+	}).sort(byId);
+	for (var i=0; i<10; i++)
+	{
+		var id = closest.next().value,
+			found = pointList.filter(function (p) { return p.id === id; })[0];
+		
+		equal((found.x - 50) * (found.x - 50) + (found.y - 50) * (found.y - 50), naiveOrder[i],
+			"nearestIterator must give ids closest first");
+	}
+	
+	throws(function () { qt.add(pointList[0].id, 1, 1); }, "Ids must be unique");
+	throws(function () { qt.add(-1, 1, 1); }, "Ids must be unsigned integers");
+	throws(function () { qt.objectMoved(pointList[0].id, 1, 1); }, "Points cannot be moved");
+	throws(function () { new Craxic.QuadTree(0, 0, d, d).toArrayBuffer(); }, 
+		"Only typed array storage can be exported");
+});
+
+
+test( "quadtree events test", function() {
+	var d = 100; //Dimension
+	var a = 1000; //Number of points to add
+	var m = 1000; //Number of moves
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	var counts = { add: 0, remove: 0, move: 0, split: 0, merge: 0 };
+	
+	function inside(p, node)
+	{
+		return node.leaf 
+			&& p.x >= node.minX && p.x < node.maxX 
+			&& p.y >= node.minY && p.y < node.maxY;
+	}
+	
+	var added = true, moved = true, removed = true, tree = true;
+	
+	qt.on("add", function (p, node) { 
+		counts.add++; 
+		added = added && inside(p, node); 
+		tree = tree && this === qt; 
+	});
+	qt.on("move", function (p, node) { counts.move++; moved = moved && inside(p, node); });
+	qt.on("remove", function (p, node) { counts.remove++; removed = removed && inside(p, node); });
+	qt.on("split", function (node) { counts.split++; });
+	qt.on("merge", function (node) { counts.merge++; });
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.random() * d,
+			y: Math.random() * d
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	equal(counts.add, a, "Every add must be reported");
+	ok(added, "Added points must be given with the leaf node they are in");
+	ok(tree, "Handlers are called on the QuadTree");
+	
+	var branches = 0, it = qt.nodes(), next;
+	while (!(next = it.next()).done)
+		branches += next.value.leaf ? 0 : 1;
+	equal(counts.split - counts.merge, branches, "Every split must be reported");
+	
+	for (var j=0; j<m; j++)
+	{
+		var point = pointList[j % a], oldX = point.x, oldY = point.y;
+		point.x = Math.random() * d;
+		point.y = Math.random() * d;
+		qt.objectMoved(point, oldX, oldY);
+	}
+	
+	equal(counts.move, m, "Every move must be reported");
+	ok(moved, "Moved points must be given with the leaf node they are in");
+	
+	for (var j=0; j<a; j++)
+	{
+		qt.remove(pointList[j]);
+	}
+	
+	equal(counts.remove, a, "Every remove must be reported");
+	ok(removed, "Removed points must be given with the leaf node they were in");
+	ok(counts.merge > 0, "Merges must be reported");
+	ok(!qt.remove(pointList[0]) && counts.remove === a, "Failing to remove is not reported");
+	
+	function splitHandler(node) { ok(false, "Removed handlers must not be called"); }
+	qt.on("split", splitHandler).off("split", splitHandler);
+	
+	var before = counts.add;
+	for (var event in counts)
+		qt.off(event, function () {});
+	qt.add({ x: 1, y: 1 });
+	equal(counts.add, before + 1, "Other handlers stay registered");
+	
+	throws(function () { qt.on("change", function () {}); }, "Unknown events are rejected");
+	
+	var growing = new Craxic.QuadTree(0, 0, 1, 1, { autoExpand: true }),
+		grown = { split: 0, merge: 0 },
+		grownList = [];
+	
+	growing.on("split", function (node) { grown.split++; });
+	growing.on("merge", function (node) { grown.merge++; });
+	
+	for (var i=0; i<a; i++)
+	{
+		// Split the root before it has to grow
+		var scale = i < a / 2 ? 1 : d,
+			point = { x: Math.random() * scale, y: Math.random() * scale };
+		grownList.push(point);
+		growing.add(point);
+	}
+	
+	for (var j=0; j<a; j++)
+	{
+		growing.remove(grownList[j]);
+	}
+	
+	ok(grown.merge > 0, "Nodes made by expanding are merged");
+	equal(grown.split, grown.merge, "Nodes made by expanding are reported as splits");
+});
+
+
+test( "quadtree stats test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	
+	for (var v=1; v<8; v++)
+	{
+		var qt = new Craxic.QuadTree(0, 0, d, d);
+		qt.maxDepth = v;
+		
+		for (var i=0; i<64; i++)
+		{
+			qt.add({ x: 0, y: 0 });
+		}
+		
+		var stats = qt.getStats();
+		
+		equal(stats.depth, v - 1, "Points at the same position go as deep as they can");
+		equal(stats.nodeCount, 1 + 4 * (v - 1), "Only the top left nodes are split");
+		equal(stats.emptyLeafCount, 3 * (v - 1), "All the other leaf nodes are empty");
+		equal(stats.maxLeafPoints, 64, "One leaf node holds everything");
+		equal(stats.overfullLeafCount, 1, "That leaf node is over the upper threshold");
+	}
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	
+	for (var i=0; i<a; i++)
+	{
+		qt.add({
+			x: Math.random() * d,
+			y: Math.random() * d
+		});
+	}
+	
+	var stats = qt.getStats();
+	function sum(array) { return array.reduce(function (total, n) { return total + n; }, 0); }
+	
+	equal(stats.pointCount, a, "Every point is counted");
+	equal(sum(stats.depthHistogram), stats.nodeCount, "Every node is at some depth");
+	equal(sum(stats.leafSizes), stats.leafCount, "Every leaf node has some size");
+	equal(sum(stats.leafSizes.map(function (n, size) { return n * size; })), a, 
+		"Every point is in a leaf node");
+	equal(stats.leafCount, 3 * (stats.nodeCount - stats.leafCount) + 1, 
+		"Every branch has 4 subtrees");
+	ok(stats.maxLeafPoints <= stats.upperThreshold, "No leaf nodes are too full");
+	equal(stats.overfullLeafCount, 0, "No leaf nodes are too full");
+	ok(stats.estimatedBytes > 0, "Memory use is estimated");
+});
+
+
+test( "quadtree validate test", function() {
+	var d = 100; //Dimension
+	var a = 2000; //Number of points to add
+	var r = 1500; //Number of points to remove
+	var m = 2000; //Number of moves
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.random() * d,
+			y: Math.random() * d
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	deepEqual(qt.validate(), [], "Adding keeps the QuadTree valid");
+	
+	for (var j=0; j<m; j++)
+	{
+		var point = pointList[j % a], oldX = point.x, oldY = point.y;
+		point.x = Math.random() * d;
+		point.y = Math.random() * d;
+		qt.objectMoved(point, oldX, oldY);
+	}
+	
+	deepEqual(qt.validate(), [], "Moving keeps the QuadTree valid");
+	
+	for (var j=0; j<r; j++)
+	{
+		qt.remove(pointList[j]);
+	}
+	
+	pointList.splice(0, r);
+	deepEqual(qt.validate(), [], "Removing keeps the QuadTree valid");
+	deepEqual(Craxic.QuadTree.fromPoints(pointList).validate(), [], "Bulk loading is valid");
+	
+	//Move a point without telling the QuadTree
+	var oldX = pointList[0].x;
+	pointList[0].x = -1;
+	var violations = qt.validate();
+	equal(violations.length, 1, "A point moved behind the QuadTree's back is found");
+	strictEqual(violations[0].point, pointList[0], "The point is given");
+	ok(violations[0].node.leaf, "The leaf node holding it is given");
+	
+	pointList[0].x = oldX;
+	deepEqual(qt.validate(), [], "Moving it back makes the QuadTree valid again");
+	
+	//Lose a point the way merging used to
+	var path = [qt];
+	while (path[0].points === null)
+	{
+		path.unshift([path[0].topLeft, path[0].topRight, path[0].bottomLeft, path[0].bottomRight]
+			.reduce(function (a, b) { return b.pointCount > a.pointCount ? b : a; }));
+	}
+	
+	var leaf = path[0];
+	leaf.points.pop();
+	
+	//Every node from the leaf up now holds one point less than its pointCount says, and a
+	//parent left with fewer points than the lowerThreshold should have been merged
+	var expected = [];
+	path.forEach(function (node) {
+		var held = node.pointCount - 1;
+		
+		if (node === leaf)
+		{
+			expected.push("pointCount is " + node.pointCount + " but the leaf node holds " + held 
+				+ " points");
+			return;
+		}
+		
+		expected.push("pointCount is " + node.pointCount + " but the subtree holds " + held 
+			+ " points");
+		
+		if (held < node.lowerThreshold)
+		{
+			expected.push("Node holds " + held + " points, fewer than the lowerThreshold of " 
+				+ node.lowerThreshold + ", but is not a leaf node");
+		}
+	});
+	
+	deepEqual(qt.validate().map(function (v) { return v.message; }), expected, 
+		"Wrong point counts are found");
+	
+	leaf.points.length = 0;
+	leaf.topLeft = leaf;
+	ok(qt.validate().some(function (v) { return v.message === "Leaf node has subtrees"; }), 
+		"Leaf nodes with subtrees are found");
+	
+	//Expanding splits nodes a rounding error away from their middle, and a small upperThreshold
+	//leaves nodes that were just split with fewer than lowerThreshold points
+	var expanding = new Craxic.QuadTree(0.1, 0.1, 0.3, 0.3, { 
+		autoExpand: true, 
+		upperThreshold: 2 
+	});
+	pointList = [];
+	
+	for (var i=0; i<40; i++)
+	{
+		var point = {
+			x: 0.1 + Math.random() * 0.2,
+			y: 0.1 + Math.random() * 0.2
+		};
+		
+		pointList.push(point);
+		expanding.add(point);
+	}
+	
+	for (var i=0; i<40; i++)
+	{
+		var point = {
+			x: (Math.random() - 0.5) * Math.pow(10, Math.random() * 4),
+			y: (Math.random() - 0.5) * Math.pow(10, Math.random() * 4)
+		};
+		
+		pointList.push(point);
+		expanding.add(point);
+	}
+	
+	deepEqual(expanding.validate(), [], "Expanding keeps the QuadTree valid");
+	
+	for (var i=0; i<40; i++)
+	{
+		expanding.remove(pointList[i]);
+	}
+	
+	deepEqual(expanding.validate(), [], "Removing from an expanded QuadTree keeps it valid");
+	
+	expanding.topLeft.maxX = expanding.topRight.minX = expanding.bottomLeft.maxX 
+		= expanding.bottomRight.minX = expanding.minX + (expanding.maxX - expanding.minX) / 4;
+	ok(expanding.validate().some(function (v) { 
+		return v.message === "Node is not split in the middle"; 
+	}), "Nodes split away from their middle are found");
+});
+
+
+test( "quadtree SVG test", function() {
+	var d = 100; //Dimension
+	var a = 500; //Number of points to add
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d / 2);
+	
+	for (var i=0; i<a; i++)
+	{
+		qt.add({
+			x: Math.random() * d,
+			y: Math.random() * d / 2
+		});
+	}
+	
+	function count(svg, pattern) { return (svg.match(pattern) || []).length; }
+	
+	var svg = qt.toSVG({ width: 200 });
+	
+	ok(/^<svg [^>]*width='200' height='100'/.test(svg), "The image has the shape of the QuadTree");
+	ok(/<\/svg>$/.test(svg), "The image is complete");
+	equal(count(svg, /class='depth-/g), qt.getStats().nodeCount, "Every node is drawn");
+	equal(count(svg, /<circle/g), a, "Every point is drawn");
+	equal(count(qt.toSVG({ points: false }), /<circle/g), 0, "Points can be left out");
+	
+	svg = qt.toSVG({ query: { type: "range", minX: 10, minY: 10, maxX: 60, maxY: 30 } });
+	equal(count(svg, /class='found'/g), qt.queryRange(10, 10, 60, 30).length, 
+		"Points found by a range query are highlighted");
+	
+	svg = qt.toSVG({ query: { type: "radius", x: 50, y: 25, r: 20 } });
+	equal(count(svg, /class='found'/g), qt.queryRadius(50, 25, 20).length, 
+		"Points found by a radius query are highlighted");
+	
+	svg = qt.toSVG({ query: { type: "nearest", x: 50, y: 25 } });
+	equal(count(svg, /class='found'/g), qt.nearestPoint(50, 25).points.length, 
+		"Nearest points are highlighted");
+	ok(/<g class='searched'[^>]*>\n<rect/.test(svg), "The searched leaf nodes are shaded");
+	
+	var sparse = new Craxic.QuadTree(0, 0, d, d, { upperThreshold: 2 });
+	sparse.add({ x: 10, y: 10 });
+	sparse.add({ x: 20, y: 20 });
+	sparse.add({ x: 30, y: 30 });
+	svg = sparse.toSVG({ width: d, query: { type: "nearest", x: 75, y: 75 } });
+	ok(/<g class='searched'[^>]*>\n<rect x='50' y='50' width='50' height='50' \/>/.test(svg), 
+		"Empty leaf nodes that were searched are shaded too");
+	
+	throws(function () { qt.toSVG({ query: { type: "polygon" } }); }, "Unknown queries are rejected");
+});
+
+
+test( "quadtree pairs within test", function() {
+	var d = 100; //Dimension
+	var a = 1000; //Number of points to add
+	
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		pointList.push({
+			id: i,
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		});
+	}
+	
+	var distances = {
+		euclidean: function (p, q) { 
+			return Math.sqrt((p.x - q.x) * (p.x - q.x) + (p.y - q.y) * (p.y - q.y)); 
+		},
+		manhattan: function (p, q) { return Math.abs(p.x - q.x) + Math.abs(p.y - q.y); },
+		chebyshev: function (p, q) { return Math.max(Math.abs(p.x - q.x), Math.abs(p.y - q.y)); }
+	};
+	
+	function pairKey(first, second)
+	{
+		return Math.min(first, second) + "-" + Math.max(first, second);
+	}
+	
+	function naivePairs(within, distance)
+	{
+		var keys = [];
+		
+		for (var i=0; i<pointList.length; i++)
+		{
+			for (var j=i+1; j<pointList.length; j++)
+			{
+				if (distance(pointList[i], pointList[j]) <= within)
+					keys.push(pairKey(i, j));
+			}
+		}
+		
+		return keys.sort();
+	}
+	
+	Object.keys(distances).forEach(function (metric) {
+		var qt = new Craxic.QuadTree(0, 0, d, d, { points: pointList, metric: metric });
+		
+		[0, 1, 3.5, 7].forEach(function (within) {
+			var keys = [],
+				distancesRight = true;
+			
+			qt.forEachPairWithin(within, function (first, second, sqDistance) {
+				keys.push(pairKey(first.id, second.id));
+				distancesRight = distancesRight 
+					&& Math.abs(Math.sqrt(sqDistance) - distances[metric](first, second)) < 1e-9;
+			});
+			
+			deepEqual(keys.sort(), naivePairs(within, distances[metric]), 
+				"Pairs within " + within + " must equal naive search using " + metric);
+			ok(distancesRight, "Each pair must be reported with its square distance");
+		});
+	});
+	
+	var typed = new Craxic.QuadTree(0, 0, d, d, { typedArrays: true }),
+		keys = [];
+	
+	pointList.forEach(function (p) { typed.add(p.id, p.x, p.y); });
+	typed.forEachPairWithin(5, function (first, second) { keys.push(pairKey(first, second)); });
+	
+	deepEqual(keys.sort(), naivePairs(5, distances.euclidean), 
+		"Typed array storage gives the pairs as ids");
+	
+	var none = 0;
+	typed.forEachPairWithin(-1, function () { none++; });
+	equal(none, 0, "A negative distance finds no pairs");
+	
+	// The haversine metric without geographic mode, where degrees apart say little about meters
+	function haversine(p, q)
+	{
+		var rad = Math.PI / 180,
+			dLat = Math.sin((p.y - q.y) * rad / 2),
+			dLon = Math.sin((p.x - q.x) * rad / 2);
+		var h = dLat * dLat + Math.cos(p.y * rad) * Math.cos(q.y * rad) * dLon * dLon;
+		
+		return 2 * 6371008.8 * Math.asin(Math.sqrt(Math.min(h, 1)));
+	}
+	
+	var lonLat = pointList.map(function (p) {
+			return { id: p.id, x: p.x * 3.6 - 180, y: p.y * 1.8 - 90 };
+		}),
+		spherical = new Craxic.QuadTree(-180, -90, 180, 90, { 
+			points: lonLat, 
+			metric: "haversine" 
+		}),
+		sphericalKeys = [],
+		naiveKeys = [],
+		closest = Number.MAX_VALUE;
+	
+	spherical.forEachPairWithin(300000, function (first, second) {
+		sphericalKeys.push(pairKey(first.id, second.id));
+	});
+	
+	for (var i=0; i<lonLat.length; i++)
+	{
+		for (var j=i+1; j<lonLat.length; j++)
+		{
+			var distance = haversine(lonLat[i], lonLat[j]);
+			closest = Math.min(closest, distance);
+			
+			if (distance <= 300000)
+				naiveKeys.push(pairKey(i, j));
+		}
+	}
+	
+	deepEqual(sphericalKeys.sort(), naiveKeys.sort(), 
+		"Pairs within must equal naive search using haversine without geographic mode");
+	ok(Math.abs(Math.sqrt(spherical.closestPair().sqDistance) - closest) < 1e-3,
+		"Closest pair must equal naive search using haversine without geographic mode");
+	
+	var west = new Craxic.QuadTree(-180, -90, 180, 90, { 
+			points: lonLat.filter(function (p) { return p.x < 0; }), 
+			metric: "haversine" 
+		}),
+		east = new Craxic.QuadTree(-180, -90, 180, 90, { 
+			points: lonLat.filter(function (p) { return p.x >= 0; }), 
+			metric: "haversine" 
+		}),
+		joinedKeys = [];
+	
+	Craxic.QuadTree.join(west, east, 300000, function (p, q) { 
+		joinedKeys.push(pairKey(p.id, q.id)); 
+	});
+	deepEqual(joinedKeys.sort(), naiveKeys.filter(function (key) {
+		var ids = key.split("-");
+		return (lonLat[ids[0]].x < 0) !== (lonLat[ids[1]].x < 0);
+	}).sort(), "Join must equal naive search using haversine without geographic mode");
+});
+
+
+test( "quadtree join test", function() {
+	var d = 100; //Dimension
+	var a = 600; //Number of points in the first QuadTree
+	var b = 800; //Number of points in the second QuadTree
+	var k = 5; //Number of nearest points to join
+	
+	function randomPoints(count, offset)
+	{
+		var points = [];
+		
+		for (var i=0; i<count; i++)
+		{
+			points.push({
+				id: i,
+				x: Math.floor(Math.random() * d) + offset,
+				y: Math.floor(Math.random() * d)
+			});
+		}
+		
+		return points;
+	}
+	
+	function sqDistance(p, q)
+	{
+		return (p.x - q.x) * (p.x - q.x) + (p.y - q.y) * (p.y - q.y);
+	}
+	
+	var listA = randomPoints(a, 0),
+		listB = randomPoints(b, d / 4);
+	
+	var treeA = new Craxic.QuadTree(0, 0, d, d, { points: listA }),
+		treeB = new Craxic.QuadTree(0, 0, 2 * d, 2 * d, { points: listB });
+	
+	[0, 2, 5.5].forEach(function (within) {
+		var pairs = [],
+			naive = [],
+			distancesRight = true;
+		
+		Craxic.QuadTree.join(treeA, treeB, within, function (p, q, sd) {
+			pairs.push(p.id + "-" + q.id);
+			distancesRight = distancesRight && sd === sqDistance(p, q);
+		});
+		
+		listA.forEach(function (p) {
+			listB.forEach(function (q) {
+				if (sqDistance(p, q) <= within * within)
+					naive.push(p.id + "-" + q.id);
+			});
+		});
+		
+		deepEqual(pairs.sort(), naive.sort(), "Join within " + within + " must equal naive search");
+		ok(distancesRight, "Each pair must be reported with its square distance");
+	});
+	
+	var joined = 0,
+		nearestRight = true;
+	
+	Craxic.QuadTree.kNearestJoin(treeA, treeB, k, function (p, result) {
+		joined++;
+		nearestRight = nearestRight
+			&& result.points.length === k
+			&& result.sqDistances.every(function (sd, i) {
+				return sd === sqDistance(p, result.points[i]);
+			})
+			&& result.sqDistances.join() === treeB.kNearest(p.x, p.y, k).sqDistances.join();
+	});
+	
+	equal(joined, a, "Every point of the first QuadTree is joined");
+	ok(nearestRight, "k nearest join must equal kNearest for each point");
+	
+	var typedA = new Craxic.QuadTree(0, 0, d, d, { typedArrays: true }),
+		typedB = new Craxic.QuadTree(0, 0, 2 * d, 2 * d, { typedArrays: true }),
+		typedPairs = [],
+		objectPairs = [];
+	
+	listA.forEach(function (p) { typedA.add(p.id, p.x, p.y); });
+	listB.forEach(function (q) { typedB.add(q.id, q.x, q.y); });
+	
+	Craxic.QuadTree.join(typedA, typedB, 3, function (p, q) { typedPairs.push(p + "-" + q); });
+	Craxic.QuadTree.join(treeA, treeB, 3, function (p, q) { objectPairs.push(p.id + "-" + q.id); });
+	deepEqual(typedPairs.sort(), objectPairs.sort(), "Typed array storage joins ids");
+	
+	throws(function () { Craxic.QuadTree.join(treeA, listB, 3, function () {}); }, 
+		"Only QuadTrees can be joined");
+	throws(function () { Craxic.QuadTree.join(treeA, treeA, 3, function () {}); }, 
+		"A QuadTree cannot be joined with itself");
+	
+	var geographic = new Craxic.QuadTree(-180, -90, 180, 90, { geographic: true });
+	throws(function () { Craxic.QuadTree.join(treeA, geographic, 3, function () {}); }, 
+		"A geographic QuadTree cannot be joined with one that is not");
+	throws(function () { Craxic.QuadTree.kNearestJoin(geographic, treeB, 3, function () {}); }, 
+		"A geographic QuadTree cannot be k nearest joined with one that is not");
+});
+
+
+test( "quadtree closest pair and farthest point test", function() {
+	var d = 100; //Dimension
+	var a = 500; //Number of points to add
+	var q = 50; //Number of test queries
+	
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		pointList.push({
+			x: Math.random() * d,
+			y: Math.random() * d
+		});
+	}
+	
+	var distances = {
+		euclidean: function (p, q) { 
+			return Math.sqrt((p.x - q.x) * (p.x - q.x) + (p.y - q.y) * (p.y - q.y)); 
+		},
+		manhattan: function (p, q) { return Math.abs(p.x - q.x) + Math.abs(p.y - q.y); },
+		chebyshev: function (p, q) { return Math.max(Math.abs(p.x - q.x), Math.abs(p.y - q.y)); }
+	};
+	
+	Object.keys(distances).forEach(function (metric) {
+		var qt = new Craxic.QuadTree(0, 0, d, d, { points: pointList, metric: metric }),
+			distance = distances[metric];
+		
+		var closest = Number.MAX_VALUE;
+		for (var i=0; i<a; i++)
+		{
+			for (var j=i+1; j<a; j++)
+				closest = Math.min(closest, distance(pointList[i], pointList[j]));
+		}
+		
+		var pair = qt.closestPair();
+		equal(pair.points.length, 2, "The closest pair has two points using " + metric);
+		notStrictEqual(pair.points[0], pair.points[1], "The two points are distinct");
+		ok(Math.abs(Math.sqrt(pair.sqDistance) - closest) < 1e-9, 
+			"Closest pair must equal naive search using " + metric);
+		ok(Math.abs(distance(pair.points[0], pair.points[1]) - closest) < 1e-9, 
+			"The points of the closest pair are that close");
+		
+		for (var i=0; i<q; i++)
+		{
+			var position = { x: Math.random() * 2 * d - d / 2, y: Math.random() * 2 * d - d / 2 },
+				farthest = qt.farthestPoint(position.x, position.y),
+				naive = Math.max.apply(null, pointList.map(function (p) {
+					return distance(p, position);
+				}));
+			
+			ok(Math.abs(Math.sqrt(farthest.sqDistance) - naive) < 1e-9 
+			   && farthest.points.every(function (p) { 
+					return Math.abs(distance(p, position) - naive) < 1e-9; 
+			   }), "Farthest point must equal naive search using " + metric);
+		}
+	});
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	deepEqual(qt.closestPair().points, [], "An empty QuadTree has no closest pair");
+	deepEqual(qt.farthestPoint(0, 0).points, [], "An empty QuadTree has no farthest point");
+	
+	var only = { x: 10, y: 10 };
+	qt.add(only);
+	deepEqual(qt.closestPair().points, [], "One point is not a pair");
+	deepEqual(qt.farthestPoint(10, 10), { sqDistance: 0, points: [only], hits: 1 }, 
+		"A lone point is the farthest point even at P");
+	
+	var twin = { x: 10, y: 10 };
+	qt.add(twin);
+	equal(qt.closestPair().sqDistance, 0, "Points at the same position are a pair");
+	
+	var geo = new Craxic.QuadTree(-180, -90, 180, 90, { geographic: true }),
+		halfway = Math.PI * 6371008.8;
+	
+	var east = { x: 179, y: 0 },
+		west = { x: -178, y: 0 };
+	
+	geo.add({ x: 0, y: 0 });
+	geo.add(east);
+	geo.add(west);
+	
+	var farthest = geo.farthestPoint(0, 0);
+	deepEqual(farthest.points, [east], "The farthest point is found near the antimeridian");
+	ok(Math.abs(Math.sqrt(farthest.sqDistance) - halfway * 179 / 180) < 1e-3, 
+		"The farthest distance is a great circle distance");
+	ok(Math.abs(Math.sqrt(geo.closestPair().sqDistance) - halfway * 3 / 180) < 1e-3, 
+		"The closest pair is found across the antimeridian");
+	
+	function haversine(p, q)
+	{
+		var rad = Math.PI / 180,
+			dLat = Math.sin((p.y - q.y) * rad / 2),
+			dLon = Math.sin((p.x - q.x) * rad / 2);
+		var h = dLat * dLat + Math.cos(p.y * rad) * Math.cos(q.y * rad) * dLon * dLon;
+		
+		return 2 * 6371008.8 * Math.asin(Math.sqrt(Math.min(h, 1)));
+	}
+	
+	var lonLat = pointList.map(function (p) { return { x: p.x * 3.6 - 180, y: p.y * 1.8 - 90 }; });
+	var spherical = new Craxic.QuadTree(-180, -90, 180, 90, { 
+		points: lonLat, 
+		metric: "haversine" 
+	});
+	
+	for (var i=0; i<q; i++)
+	{
+		var position = { x: Math.random() * 360 - 180, y: Math.random() * 180 - 90 },
+			farthest = spherical.farthestPoint(position.x, position.y),
+			naive = Math.max.apply(null, lonLat.map(function (p) {
+				return haversine(p, position);
+			}));
+		
+		ok(Math.abs(Math.sqrt(farthest.sqDistance) - naive) < 1e-3, 
+			"Farthest point must equal naive search using haversine without geographic mode");
+	}
+});
+
+
+test( "quadtree nearest neighbour time test", function() {
+	expect(0);
+	
+	var d = 100; //Dimension
+	var a = 1000000; //Number of points to add
+	var r = 500; //Number of points to remove
+	var q = 1000; //Number of test queries
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d);
+	qt.maxDepth = 6;
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+		qt.add(point);
+	}
+	
+	for (var j=0; j<r; j++)
+	{
+		qt.remove(pointList[j]);
+	}
+	
+	pointList.splice(0, r);
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d);
+			
+		var nearest = qt.nearestPoint(x,y);
+		
+		sortList(nearest);
+	}
+});
+
+
+test( "naive nearest neighbour time test", function() {
+	expect(0);
+
+	var d = 100; //Dimension
+	var a = 1000000; //Number of points to add
+	var r = 500; //Number of points to remove
+	var q = 1000; //Number of test queries
+	
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+	}
+	
+	pointList.splice(0, r);
+	
+	for (var i=0; i<q; i++)
+	{
+		var x = Math.floor(Math.random() * d),
+			y = Math.floor(Math.random() * d);
+			
+		var nearest = naiveSearch(pointList, x,y);
+		
+		sortList(nearest);
+	}
+});
+
+
+test( "quadtree bulk load time test", function() {
+	expect(0);
+	
+	var d = 100; //Dimension
+	var a = 1000000; //Number of points to add
+	
+	var pointList = [];
+	
+	for (var i=0; i<a; i++)
+	{
+		var point = {
+			x: Math.floor(Math.random() * d),
+			y: Math.floor(Math.random() * d)
+		};
+		
+		pointList.push(point);
+	}
+	
+	var qt = new Craxic.QuadTree(0, 0, d, d, { maxDepth: 6, points: pointList });
+});